@@ -4,10 +4,18 @@ require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const http = require('http');
+const https = require('https');
+const http2 = require('http2');
+const net = require('net');
 const readline = require('readline');
 const WebSocket = require('ws');
-const axios = require('axios');
-const FormData = require('form-data');
+const YAML = require('yaml');
+const { PROTOCOL_VERSION, ERROR_CODE, createMultiplexer, stripHopByHopHeaders, isStreamingResponse } = require('./protocol');
+const { createInspector } = require('./inspector');
+const { createFileServer } = require('./file-server');
+const { createRules, globToRegExp } = require('./rules');
+const { compileFaults, mergeFaults, rollFaults, describeFaults, createThrottle } = require('./faults');
 
 // ===== Configuration from Environment Variables =====
 const CONFIG = {
@@ -15,8 +23,11 @@ const CONFIG = {
     BASE_DOMAIN: process.env.COMZY_BASE_DOMAIN || 'comzy.io',
     LOGIN_URL: process.env.COMZY_LOGIN_URL || 'https://comzy.io/login',
     ANONYMOUS_TIMEOUT: parseInt(process.env.COMZY_ANONYMOUS_TIMEOUT) || 60 * 60 * 1000, // 1 hour
-    RECONNECT_DELAY: parseInt(process.env.COMZY_RECONNECT_DELAY) || 5000, // 5 seconds
+    // Reconnects back off exponentially from the first delay up to the maximum
+    RECONNECT_DELAY: parseInt(process.env.COMZY_RECONNECT_DELAY) || 1000, // 1 second
+    RECONNECT_MAX_DELAY: parseInt(process.env.COMZY_RECONNECT_MAX_DELAY) || 60000, // 1 minute
     PING_INTERVAL: parseInt(process.env.COMZY_PING_INTERVAL) || 20000, // 20 seconds
+    INSPECTOR_PORT: parseInt(process.env.COMZY_INSPECTOR_PORT) || 4040,
 };
 
 // --- Colors for console output ---
@@ -63,6 +74,9 @@ function logDim(message) {
 const HOME_DIR = os.homedir();
 const COMZY_DIR = path.join(HOME_DIR, '.comzy');
 const USER_FILE = path.join(COMZY_DIR, '.user');
+const CONFIG_FILES = [path.resolve('comzy.yml'), path.join(COMZY_DIR, 'config.yml')];
+// How long (ms) a shutdown waits for the server to acknowledge the close
+const SHUTDOWN_TIMEOUT = 2000;
 
 // --- Ensure .comzy folder exists ---
 function ensureComzyDir() {
@@ -125,14 +139,64 @@ Comzy - Secure tunnel to localhost
 
 Usage:
   comzy [port]              Start tunnel on specified port (default: 3000)
+  comzy <host:port|url>     Forward to another host, or to an http(s):// URL
+  comzy tcp <[host:]port>   Start a raw TCP tunnel (databases, SSH, MQTT...)
+  comzy serve <dir>         Serve a directory, no local server needed
+  comzy start <name...>     Start tunnels defined in the config file
+  comzy start --all         Start every tunnel in the config file
+  comzy reserve <name>      Reserve <name>.comzy.io for your account
+  comzy domain add <domain> --to <subdomain>
+                            Serve a subdomain on your own domain
+  comzy domain verify <domain> [--method dns|http]
+                            Prove ownership and request its certificate
+  comzy domain list         Show your custom domains and their status
+  comzy domain remove <domain>
   comzy login               Login with authentication token
   comzy logout              Logout and remove stored token
   comzy status              Show current authentication status
   comzy help                Show this help message
 
+Options:
+  --subdomain <name>        Use a reserved subdomain instead of a random one
+  --basic-auth <user:pass>  Require a username and password from visitors
+  --allow-ip <list>         Only admit these IPs/CIDR ranges (comma separated)
+  --no-basic-auth           Remove a stored password from this tunnel
+  --no-allow-ip             Remove a stored IP allowlist from this tunnel
+  --oidc-issuer <url>       Make visitors sign in with this OpenID Connect provider
+  --oidc-client-id <id>     Client id registered with the provider
+  --oidc-client-secret <s>  Its secret (or set COMZY_OIDC_CLIENT_SECRET)
+  --allow-email-domain <d>  Only let in these email domains (comma separated)
+  --allow-email <list>      Only let in these addresses (comma separated)
+  --proto grpc              gRPC / HTTP/2 tunnel: h2c to the port, h2 to an https:// URL
+  --insecure                Accept any certificate from an https:// upstream
+  --host-header <value>     Host header sent upstream: preserve (default),
+                            rewrite (the upstream's host:port) or a host name
+  --rules <file>            Stub, rewrite or add CORS to requests (see README)
+  --latency <time[±jitter]> Delay requests, e.g. 300ms±100
+  --error-rate <pct[:code]> Answer this share of requests with an error, e.g. 5%:503
+  --bandwidth <rate>        Pace request and response bodies, e.g. 256kbps
+  --drop-rate <pct>         Never answer this share of requests, e.g. 2%
+  --fault-path <glob>       Only inject the faults above on matching paths
+  --spa                     With serve: answer unknown pages with index.html
+  --no-listing              With serve: do not list directories
+  --inspect-port <port>     Port for the local traffic inspector (default: 4040)
+  --no-inspect              Do not start the traffic inspector
+  --config <file>           Config file (default: ./comzy.yml, then ~/.comzy/config.yml)
+
 Examples:
   comzy 8080                Start tunnel on port 8080
   comzy                     Start tunnel on port 3000
+  comzy tcp 5432            Expose a local Postgres over TCP
+  comzy 50051 --proto grpc  Expose a local gRPC server
+  comzy http://192.168.1.20:8080 --host-header rewrite
+  comzy https://localhost:8443 --insecure
+  comzy serve ./dist --spa  Share a built single-page app
+  comzy 3000 --rules rules.yml
+  comzy 3000 --latency 300ms±100 --error-rate 5%:503 --fault-path '/api/**'
+  comzy 3000 --basic-auth admin:s3cret --allow-ip 10.0.0.0/8,203.0.113.4
+  comzy 3000 --oidc-issuer https://accounts.google.com --oidc-client-id <id> --allow-email-domain acme.com
+  comzy start web api       Start the "web" and "api" tunnels from comzy.yml
+  comzy 3000 --subdomain acme-api
   comzy login               Login with your token
   comzy logout              Logout from current session
 
@@ -141,8 +205,11 @@ Environment Variables:
   COMZY_BASE_DOMAIN        Base domain for tunnels (default: comzy.io)
   COMZY_LOGIN_URL          Login page URL (default: https://comzy.io/login)
   COMZY_ANONYMOUS_TIMEOUT  Anonymous session timeout in ms (default: 3600000)
-  COMZY_RECONNECT_DELAY    Reconnection delay in ms (default: 5000)
+  COMZY_RECONNECT_DELAY    First reconnection delay in ms, doubled per attempt (default: 1000)
+  COMZY_RECONNECT_MAX_DELAY  Longest reconnection delay in ms (default: 60000)
   COMZY_PING_INTERVAL      Ping interval in ms (default: 20000)
+  COMZY_INSPECTOR_PORT     Traffic inspector port (default: 4040)
+  COMZY_OIDC_CLIENT_SECRET  Client secret for --oidc-client-id
 `);
 }
 
@@ -170,9 +237,393 @@ function validatePort(port) {
     return portNum;
 }
 
+// --- Parse the upstream a tunnel forwards to ---
+// A port (localhost), host:port, or for HTTP and gRPC tunnels an http:// or
+// https:// URL. Returns { scheme, host, port }, or null if `value` is none of these.
+function parseUpstream(value, proto = 'http') {
+    value = String(value);
+    if (/^\d+$/.test(value)) {
+        const port = validatePort(value);
+        return port && { scheme: 'http', host: 'localhost', port };
+    }
+
+    const hasScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(value);
+    if (hasScheme && proto === 'tcp') {
+        return null;
+    }
+    // Without a scheme only host:port is accepted, so typos aren't taken for host names
+    if (!hasScheme && !/^(\[[0-9a-f:.]+\]|[^:/\s]+):\d+$/i.test(value)) {
+        return null;
+    }
+
+    let url;
+    try {
+        url = new URL(hasScheme ? value : `http://${value}`);
+    } catch {
+        return null;
+    }
+    if ((url.protocol !== 'http:' && url.protocol !== 'https:') || url.pathname !== '/' || url.search) {
+        return null;
+    }
+
+    const scheme = url.protocol.slice(0, -1);
+    const port = validatePort(url.port || (scheme === 'https' ? 443 : 80));
+    return port && { scheme, host: url.hostname.replace(/^\[(.*)\]$/, '$1'), port };
+}
+
+// --- Describe where a tunnel forwards to ---
+function upstreamUrl(tunnel) {
+    if (tunnel.files) {
+        return tunnel.files.root;
+    }
+    const host = tunnel.host.includes(':') ? `[${tunnel.host}]` : tunnel.host;
+    return `${tunnel.proto === 'tcp' ? 'tcp' : tunnel.scheme}://${host}:${tunnel.port}`;
+}
+
+// --- Host header the upstream expects for itself ---
+function upstreamHost(tunnel) {
+    const host = tunnel.host.includes(':') ? `[${tunnel.host}]` : tunnel.host;
+    const defaultPort = tunnel.scheme === 'https' ? 443 : 80;
+    return tunnel.port === defaultPort ? host : `${host}:${tunnel.port}`;
+}
+
+// --- Headers sent upstream for a tunneled request ---
+// The visitor's headers, with X-Forwarded-For/-Proto/-Host describing the
+// visitor and the public URL. The Host header is kept as the visitor sent it
+// (host_header "preserve", the default), set to the upstream's own
+// ("rewrite"), or set to the given name.
+function upstreamHeaders(tunnel, { rawHeaders, remoteAddress, protocol }) {
+    const hostHeader = !tunnel.hostHeader || tunnel.hostHeader === 'preserve' ? null
+        : tunnel.hostHeader === 'rewrite' ? upstreamHost(tunnel)
+        : tunnel.hostHeader;
+    const headers = [];
+    let publicHost = null;
+    const forwardedFor = [];
+
+    for (let i = 0; i < rawHeaders.length; i += 2) {
+        const name = rawHeaders[i].toLowerCase();
+        if (name === 'x-forwarded-for') {
+            forwardedFor.push(...rawHeaders[i + 1].split(',').map(hop => hop.trim()));
+        } else if (name === 'host') {
+            publicHost = rawHeaders[i + 1];
+            headers.push(rawHeaders[i], hostHeader || publicHost);
+        } else if (name !== 'x-forwarded-proto' && name !== 'x-forwarded-host') {
+            headers.push(rawHeaders[i], rawHeaders[i + 1]);
+        }
+    }
+
+    // A reverse proxy in front of the server may already have added the visitor
+    if (remoteAddress && forwardedFor[forwardedFor.length - 1] !== remoteAddress) {
+        forwardedFor.push(remoteAddress);
+    }
+    if (forwardedFor.length) {
+        headers.push('X-Forwarded-For', forwardedFor.join(', '));
+    }
+    if (protocol) {
+        headers.push('X-Forwarded-Proto', protocol);
+    }
+    if (publicHost) {
+        headers.push('X-Forwarded-Host', publicHost);
+    }
+    return headers;
+}
+
+// Upstream certificate problems --insecure gets past
+const CERTIFICATE_ERRORS = new Set([
+    'DEPTH_ZERO_SELF_SIGNED_CERT',
+    'SELF_SIGNED_CERT_IN_CHAIN',
+    'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+    'UNABLE_TO_GET_ISSUER_CERT_LOCALLY',
+    'CERT_HAS_EXPIRED',
+    'ERR_TLS_CERT_ALTNAME_INVALID',
+]);
+
+// --- Start a request to a tunnel's upstream over http or https ---
+// `insecure` tunnels accept any certificate (self-signed dev servers)
+function requestUpstream(tunnel, options) {
+    return (tunnel.scheme === 'https' ? https : http).request({
+        host: tunnel.host,
+        port: tunnel.port,
+        rejectUnauthorized: !tunnel.insecure,
+        ...options,
+    });
+}
+
+// --- Start a request to a gRPC tunnel's upstream over HTTP/2 ---
+// One connection per tunnel, opened on first use and again once it closes:
+// h2c (cleartext) for http:// upstreams, h2 over TLS for https:// ones.
+// `headers` is a flat list; Host becomes :authority.
+function requestUpstreamH2(tunnel, method, requestPath, rawHeaders) {
+    if (!tunnel.session || tunnel.session.closed || tunnel.session.destroyed) {
+        const host = tunnel.host.includes(':') ? `[${tunnel.host}]` : tunnel.host;
+        tunnel.session = http2.connect(`${tunnel.scheme}://${host}:${tunnel.port}`, {
+            rejectUnauthorized: !tunnel.insecure,
+        });
+        tunnel.session.on('error', () => {}); // Reported by the requests it fails
+        tunnel.session.unref();
+    }
+
+    const headers = { ':method': method, ':path': requestPath };
+    for (let i = 0; i < rawHeaders.length; i += 2) {
+        const name = rawHeaders[i].toLowerCase() === 'host' ? ':authority' : rawHeaders[i].toLowerCase();
+        headers[name] = name in headers ? [].concat(headers[name], rawHeaders[i + 1]) : rawHeaders[i + 1];
+    }
+    return tunnel.session.request(headers);
+}
+
+// HTTP/2 header object to a flat [name, value, ...] list, without pseudo-headers
+function flattenH2Headers(headers) {
+    const rawHeaders = [];
+    for (const [name, value] of Object.entries(headers)) {
+        if (name.startsWith(':')) continue;
+        for (const item of [].concat(value)) {
+            rawHeaders.push(name, String(item));
+        }
+    }
+    return rawHeaders;
+}
+
+// --- Describe a tunnel's login gate, e.g. "https://accounts.google.com (@acme.com)" ---
+function describeLogin({ issuer, allow }) {
+    return `${issuer} (${allow.length ? allow.join(', ') : 'any account'})`;
+}
+
+// --- Faults set on the tunnel itself, within their --fault-path scope ---
+function tunnelFaults(tunnel, requestPath) {
+    if (!tunnel.faults) {
+        return null;
+    }
+    const { pathname } = new URL(requestPath, 'http://localhost');
+    return !tunnel.faultPath || tunnel.faultPath.test(pathname) ? tunnel.faults : null;
+}
+
+// --- One-off request to the server (reserve, domain commands) ---
+// Opens a connection, sends `message` and resolves with the server's reply,
+// or null after printing why there was none. Requires a login.
+function sendControlRequest(message) {
+    const token = getStoredToken();
+    if (!token) {
+        logError('Log in with "comzy login" first');
+        process.exitCode = 1;
+        return Promise.resolve(null);
+    }
+
+    return new Promise((resolve) => {
+        const ws = new WebSocket(CONFIG.WS_SERVER);
+        let reply = null;
+        const timeout = setTimeout(() => {
+            logError('Server did not answer in time');
+            ws.terminate();
+        }, 30000);
+
+        ws.on('open', () => {
+            ws.send(JSON.stringify({ ...message, userId: token }));
+        });
+
+        ws.on('message', (data, isBinary) => {
+            if (isBinary) return;
+            reply = JSON.parse(data);
+            if (reply.type === 'error') {
+                logError(`Server error: ${reply.message}`);
+                reply = null;
+            }
+            ws.close();
+        });
+
+        ws.on('error', (err) => {
+            logError(`Connection error: ${err.message}`);
+        });
+
+        ws.on('close', () => {
+            clearTimeout(timeout);
+            if (!reply) {
+                process.exitCode = 1;
+            }
+            resolve(reply);
+        });
+    });
+}
+
+// --- Reserve a subdomain for the logged-in user ---
+async function reserveSubdomain(name) {
+    const reply = await sendControlRequest({ type: 'reserve', subdomain: name });
+    if (reply) {
+        logSuccess(`Reserved ${reply.url}`);
+        logDim(`Use it with: comzy <port> --subdomain ${name}`);
+    }
+}
+
+// --- Custom domains: add, verify, list, remove ---
+function printDomain(domain) {
+    const expires = domain.certificateExpiresAt ? `, certificate until ${domain.certificateExpiresAt.slice(0, 10)}` : '';
+    log(`${domain.domain} -> ${domain.alias}.${CONFIG.BASE_DOMAIN}  ${colors.gray}(${domain.status}${expires})${colors.reset}`, colors.bright);
+    if (domain.lastError) {
+        logWarning(`  Last certificate error: ${domain.lastError}`);
+    }
+    if (domain.verification) {
+        logDim('  Prove you own it with either:');
+        logDim(`    DNS:  TXT record ${domain.verification.dns.name} = ${domain.verification.dns.value}`);
+        logDim(`    HTTP: point the domain at ${CONFIG.BASE_DOMAIN} (CNAME) so ${domain.verification.http.url} reaches us`);
+        logDim(`  Then run: comzy domain verify ${domain.domain}`);
+    }
+}
+
+async function handleDomainCommand(action, domain, flags) {
+    const usage = {
+        add: 'comzy domain add <domain> --to <subdomain>',
+        verify: 'comzy domain verify <domain> [--method dns|http]',
+        remove: 'comzy domain remove <domain>',
+    };
+
+    if (action !== 'list' && !usage[action]) {
+        logError('Usage: comzy domain add|verify|list|remove [domain]');
+        process.exitCode = 1;
+        return;
+    }
+    if (action !== 'list' && (!domain || (action === 'add' && !flags.to))) {
+        logError(`Usage: ${usage[action]}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const reply = await sendControlRequest({ type: 'domain', action, domain, alias: flags.to, method: flags.method });
+    if (!reply) return;
+
+    if (action === 'list') {
+        if (reply.domains.length === 0) {
+            logDim('No custom domains yet. Add one with: comzy domain add <domain> --to <subdomain>');
+        }
+        reply.domains.forEach(printDomain);
+    } else if (action === 'remove') {
+        logSuccess(`Removed ${reply.removed}`);
+    } else {
+        if (action === 'verify' && reply.domain.status === 'verified') {
+            logSuccess(`${reply.domain.domain} verified, a certificate has been requested`);
+        }
+        printDomain(reply.domain);
+    }
+}
+
+const PROTOS = ['http', 'tcp', 'grpc'];
+
+// --- Load named tunnels from the config file ---
+// tunnels:
+//   api:
+//     port: 4000
+//     host: 127.0.0.1        # optional, local host to forward to
+//     subdomain: acme-api    # optional
+//     basic_auth: admin:pw   # optional
+//     allow_ip: [10.0.0.0/8] # optional, list or comma separated
+//     oidc:                  # optional login gate
+//       issuer: https://accounts.google.com
+//       client_id: ...
+//       client_secret: ...   # or COMZY_OIDC_CLIENT_SECRET
+//       allow_email_domain: acme.com
+//   dev:
+//     url: https://localhost:8443 # instead of port/host
+//     insecure: true         # optional, accept a self-signed certificate
+//     host_header: rewrite   # optional: preserve (default), rewrite or a host name
+//     rules: rules.yml       # optional, relative to this file
+//     faults:                # optional, see faults.js
+//       latency: 300ms±100
+//       path: /api/**        # optional, only these paths
+//   db:
+//     port: 5432
+//     proto: tcp
+//   rpc:
+//     port: 50051
+//     proto: grpc            # HTTP/2: h2c to the port, h2 to an https:// url
+function loadConfigFile(explicitPath) {
+    const file = explicitPath ? path.resolve(explicitPath) : CONFIG_FILES.find(candidate => fs.existsSync(candidate));
+    if (!file) {
+        throw new Error(`No config file found (looked for ${CONFIG_FILES.join(', ')})`);
+    }
+
+    let config;
+    try {
+        config = YAML.parse(fs.readFileSync(file, 'utf8')) || {};
+    } catch (err) {
+        throw new Error(`Could not read ${file}: ${err.message}`);
+    }
+
+    if (!config.tunnels || typeof config.tunnels !== 'object' || Array.isArray(config.tunnels)) {
+        throw new Error(`${file} has no "tunnels" section`);
+    }
+
+    const tunnels = Object.entries(config.tunnels).map(([name, options]) => {
+        options = options || {};
+        const proto = options.proto || 'http';
+        if (!PROTOS.includes(proto)) {
+            throw new Error(`Tunnel "${name}" in ${file} has an unknown proto "${proto}" (use http, tcp or grpc)`);
+        }
+
+        let upstream;
+        if (options.url) {
+            upstream = parseUpstream(options.url, proto);
+            if (!upstream) {
+                throw new Error(`Tunnel "${name}" in ${file} has an invalid url "${options.url}"`);
+            }
+        } else {
+            const port = validatePort(options.port);
+            if (!port) {
+                throw new Error(`Tunnel "${name}" in ${file} needs a url, or a port between 1-65535`);
+            }
+            upstream = { scheme: 'http', host: options.host || 'localhost', port };
+        }
+
+        return {
+            name,
+            proto,
+            ...upstream,
+            insecure: Boolean(options.insecure),
+            hostHeader: options.host_header,
+            rules: options.rules && path.resolve(path.dirname(file), String(options.rules)),
+            faults: options.faults,
+            subdomain: options.subdomain,
+            basicAuth: options.basic_auth,
+            allowIps: options.allow_ip,
+            oidc: options.oidc,
+        };
+    });
+
+    return { file, tunnels };
+}
+
+// --- Parse command line arguments ---
+// Supports `--name value`, `--name=value`, boolean flags and `--no-name`.
+// Flag names are returned camelCased: `--inspect-port` -> flags.inspectPort
+const BOOLEAN_FLAGS = new Set(['inspect', 'all', 'insecure', 'spa', 'listing']);
+
+function parseArgs(argv) {
+    const positionals = [];
+    const flags = {};
+    const camelCase = (name) => name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--') || arg === '--help') {
+            positionals.push(arg);
+            continue;
+        }
+
+        const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+        if (name.startsWith('no-')) {
+            flags[camelCase(name.slice(3))] = false;
+        } else if (inlineValue !== undefined) {
+            flags[camelCase(name)] = inlineValue;
+        } else if (BOOLEAN_FLAGS.has(name)) {
+            flags[camelCase(name)] = true;
+        } else {
+            flags[camelCase(name)] = argv[++i];
+        }
+    }
+
+    return { positionals, flags };
+}
+
 // --- Main function ---
 async function main() {
-    const args = process.argv.slice(2);
+    const { positionals: args, flags } = parseArgs(process.argv.slice(2));
     const command = args[0];
 
     // Handle commands
@@ -196,13 +647,192 @@ async function main() {
         return;
     }
 
-    // Start tunnel
-    const localPort = validatePort(command) || 3000;
-    if (!localPort) {
-        logError('Invalid port number. Use a port between 1-65535');
+    if (command === 'reserve') {
+        if (!args[1]) {
+            logError('Usage: comzy reserve <name>');
+            process.exitCode = 1;
+            return;
+        }
+        await reserveSubdomain(args[1].toLowerCase());
+        return;
+    }
+
+    if (command === 'domain') {
+        await handleDomainCommand(args[1], args[2], flags);
         return;
     }
 
+    // Pick the tunnels to start: named ones from the config file, or a
+    // single one described on the command line
+    let tunnels;
+    if (command === 'start') {
+        let config;
+        try {
+            config = loadConfigFile(flags.config);
+        } catch (err) {
+            logError(err.message);
+            return;
+        }
+
+        const names = args.slice(1);
+        if (!flags.all && names.length === 0) {
+            logError(`Name the tunnels to start, or use --all. Defined in ${config.file}: ${config.tunnels.map(t => t.name).join(', ')}`);
+            return;
+        }
+
+        const unknown = names.filter(name => !config.tunnels.some(t => t.name === name));
+        if (unknown.length) {
+            logError(`Unknown tunnel${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')} (not in ${config.file})`);
+            return;
+        }
+
+        tunnels = flags.all ? config.tunnels : config.tunnels.filter(t => names.includes(t.name));
+    } else if (command === 'serve') {
+        const root = path.resolve(args[1] || '.');
+        if (!fs.statSync(root, { throwIfNoEntry: false })?.isDirectory()) {
+            logError(`Not a directory: ${root}`);
+            return;
+        }
+
+        // Nothing is forwarded, so the forwarding options have nothing to act on
+        const forwardingFlags = ['proto', 'insecure', 'hostHeader', 'rules', 'latency', 'errorRate', 'bandwidth', 'dropRate', 'faultPath']
+            .filter(name => flags[name] !== undefined && flags[name] !== false)
+            .map(name => `--${name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`);
+        if (forwardingFlags.length) {
+            logError(`comzy serve does not take ${forwardingFlags.join(', ')}: ${forwardingFlags.length > 1 ? 'they only apply' : 'it only applies'} when forwarding to a local server`);
+            return;
+        }
+
+        tunnels = [{
+            proto: 'http',
+            files: createFileServer({ root, spa: Boolean(flags.spa), listing: flags.listing !== false }),
+            subdomain: flags.subdomain,
+            basicAuth: flags.basicAuth,
+            allowIps: flags.allowIp,
+            oidc: {
+                issuer: flags.oidcIssuer,
+                client_id: flags.oidcClientId,
+                client_secret: flags.oidcClientSecret,
+                allow_email_domain: flags.allowEmailDomain,
+                allow_email: flags.allowEmail,
+            },
+        }];
+    } else {
+        const proto = command === 'tcp' ? 'tcp' : flags.proto || 'http';
+        if (!PROTOS.includes(proto)) {
+            logError(`Unknown proto "${proto}" (use http, tcp or grpc)`);
+            return;
+        }
+        const target = command === 'tcp' ? args[1] : command ?? '3000';
+        const upstream = target !== undefined && parseUpstream(target, proto);
+        if (!upstream) {
+            logError(proto === 'tcp'
+                ? 'Invalid upstream. Use a port between 1-65535 or host:port'
+                : 'Invalid upstream. Use a port between 1-65535, host:port or an http(s):// URL');
+            return;
+        }
+
+        tunnels = [{
+            proto,
+            ...upstream,
+            insecure: Boolean(flags.insecure),
+            hostHeader: flags.hostHeader,
+            rules: flags.rules,
+            faults: {
+                latency: flags.latency,
+                error_rate: flags.errorRate,
+                bandwidth: flags.bandwidth,
+                drop_rate: flags.dropRate,
+                path: flags.faultPath,
+            },
+            subdomain: flags.subdomain,
+            basicAuth: flags.basicAuth,
+            allowIps: flags.allowIp,
+            oidc: {
+                issuer: flags.oidcIssuer,
+                client_id: flags.oidcClientId,
+                client_secret: flags.oidcClientSecret,
+                allow_email_domain: flags.allowEmailDomain,
+                allow_email: flags.allowEmail,
+            },
+        }];
+    }
+
+    for (const tunnel of tunnels) {
+        if (typeof tunnel.allowIps === 'string') {
+            tunnel.allowIps = tunnel.allowIps.split(',');
+        }
+        if (tunnel.hostHeader !== undefined && !/^[a-z0-9.-]+(:\d+)?$/i.test(tunnel.hostHeader)) {
+            logError(`Invalid host header "${tunnel.hostHeader}": use preserve, rewrite or a host name`);
+            return;
+        }
+
+        // Login gate, checked by the server, which talks to the identity provider
+        const oidc = tunnel.oidc || {};
+        const where = tunnel.name ? `Tunnel "${tunnel.name}": ` : '';
+        tunnel.oidc = null;
+        if (Object.values(oidc).every(value => value === undefined)) continue;
+        if (!oidc.issuer || !oidc.client_id) {
+            logError(`${where}A login gate needs an issuer and a client id (--oidc-issuer, --oidc-client-id)`);
+            return;
+        }
+        if (tunnel.proto !== 'http') {
+            logError(`${where}A login gate only works on HTTP tunnels`);
+            return;
+        }
+        tunnel.oidc = {
+            issuer: String(oidc.issuer),
+            clientId: String(oidc.client_id),
+            clientSecret: oidc.client_secret ?? process.env.COMZY_OIDC_CLIENT_SECRET,
+            allowEmailDomains: oidc.allow_email_domain,
+            allowEmails: oidc.allow_email,
+        };
+    }
+
+    // Faults and response rules are checked before connecting so mistakes stop here
+    for (const tunnel of tunnels) {
+        if (tunnel.faults) {
+            const { path: scope, ...options } = tunnel.faults;
+            try {
+                tunnel.faults = compileFaults(options, tunnel.name ? `Tunnel "${tunnel.name}"` : 'Faults');
+            } catch (err) {
+                logError(err.message);
+                return;
+            }
+            if (tunnel.faults && tunnel.proto !== 'http') {
+                logError(`${tunnel.name ? `Tunnel "${tunnel.name}": f` : 'F'}aults only apply to HTTP tunnels`);
+                return;
+            }
+            tunnel.faultPath = scope ? globToRegExp(String(scope)) : null;
+            tunnel.faultSummary = Object.entries(options)
+                .filter(([, value]) => value !== undefined && value !== null)
+                .map(([name, value]) => `${name.replace('_', ' ')} ${value}`)
+                .join(', ') + (scope ? ` on ${scope}` : '');
+        }
+
+        if (!tunnel.rules) continue;
+        if (tunnel.proto !== 'http') {
+            logError(`${tunnel.name ? `Tunnel "${tunnel.name}": r` : 'R'}ules only apply to HTTP tunnels`);
+            return;
+        }
+        const name = tunnel.name ? `[${tunnel.name}] ` : '';
+        try {
+            tunnel.rules = createRules(tunnel.rules, {
+                onReload: (count) => logInfo(`${name}Reloaded ${count} rule${count === 1 ? '' : 's'} from ${tunnel.rules.file}`),
+                onError: (err) => logError(`${name}${err.message} (keeping the previous rules)`),
+            });
+        } catch (err) {
+            logError(err.message);
+            return;
+        }
+    }
+
+    const isMulti = tunnels.length > 1;
+    const tunnelsByUUID = new Map(); // Map<UUID, tunnel>, filled as the server answers
+
+    // Prefix for per-tunnel log lines when several tunnels share the process
+    const label = (tunnel) => (isMulti ? `[${tunnel.name}] ` : '');
+
     let token = getStoredToken();
     const isAnonymous = !token;
 
@@ -212,27 +842,81 @@ async function main() {
         logDim('Use "comzy login" to authenticate\n');
     }
 
-    log(`Starting tunnel on localhost:${localPort}`, colors.bright);
+    if (isMulti) {
+        log(`Starting ${tunnels.length} tunnels: ${tunnels.map(t => t.name).join(', ')}`, colors.bright);
+    } else {
+        const [tunnel] = tunnels;
+        const kind = { tcp: 'TCP ', grpc: 'gRPC ' }[tunnel.proto] || '';
+        log(`Starting ${kind}tunnel${tunnel.name ? ` "${tunnel.name}"` : ''} ${tunnel.files ? 'serving' : 'to'} ${upstreamUrl(tunnel)}`, colors.bright);
+    }
+
+    // --- Local traffic inspector (HTTP tunnels only, shared by all of them) ---
+    // Served files are not recorded: there is no upstream to replay them against
+    let inspector = null;
+    let inspectorUrl = null;
+    if (tunnels.some(t => t.proto === 'http' && !t.files) && flags.inspect !== false) {
+        const inspectorPort = validatePort(flags.inspectPort) || CONFIG.INSPECTOR_PORT;
+        inspector = createInspector({
+            resolveTarget: (name) => tunnels.find(t => t.name === name && t.proto === 'http'),
+        });
+        try {
+            inspectorUrl = `http://localhost:${await inspector.listen(inspectorPort)}`;
+        } catch (err) {
+            logWarning(`Traffic inspector disabled: ${err.message}`);
+            inspector = null;
+        }
+    }
 
     let ws;
+    let mux;
     let pingInterval;
     let reconnectTimeout = null;
     let anonymousTimeout = null;
     let isShuttingDown = false;
+    let pendingRegistrations = 0;
+    let connectedBefore = false; // Later connections are reported as reconnects
+    let reconnectAttempts = 0; // Since tunnels were last established
+    let waitBeforeRetry = 0; // Seconds the server asked us to wait before registering again
 
     function connect() {
         if (isShuttingDown) return;
 
         ws = new WebSocket(CONFIG.WS_SERVER);
+        mux = createMultiplexer(ws, { onStream: handleStream });
+        let opened = false;
 
         ws.on('open', () => {
-            logSuccess('Connected to tunnel server');
+            opened = true;
+            logSuccess(reconnectAttempts
+                ? `Connected to tunnel server (attempt ${reconnectAttempts})`
+                : 'Connected to tunnel server');
 
-            ws.send(JSON.stringify({
-                type: 'register',
-                userId: token || 'anonymous',
-                port: localPort            
-            }));
+            tunnelsByUUID.clear();
+            pendingRegistrations = tunnels.length;
+            const reconnect = connectedBefore;
+            connectedBefore = true;
+            for (const tunnel of tunnels) {
+                tunnel.publicUrl = null;
+                tunnel.error = null;
+                tunnel.errorCode = null;
+                tunnel.resumed = false;
+                ws.send(JSON.stringify({
+                    type: 'register',
+                    userId: token || 'anonymous',
+                    name: tunnel.name,
+                    port: tunnel.port,
+                    serve: tunnel.files ? true : undefined, // No local port: answered by the client itself
+                    proto: tunnel.proto,
+                    version: PROTOCOL_VERSION,
+                    subdomain: tunnel.subdomain,
+                    basicAuth: tunnel.basicAuth,
+                    allowIps: tunnel.allowIps,
+                    oidc: tunnel.oidc || undefined,
+                    reconnect,
+                    // Asks for the same tunnel back if the server still holds it
+                    resume: tunnel.resumeToken
+                }));
+            }
 
             // Set anonymous timeout
             if (isAnonymous) {
@@ -253,8 +937,13 @@ async function main() {
         });
 
         ws.on('close', () => {
+            mux.destroyAll();
+
             if (!isShuttingDown) {
-                logWarning('Disconnected from tunnel server');
+                // Failed attempts have already logged their connection error
+                if (opened) {
+                    logWarning('Disconnected from tunnel server');
+                }
                 cleanup();
                 attemptReconnect();
             }
@@ -265,114 +954,540 @@ async function main() {
             ws.close();
         });
 
-        ws.on('message', async (data) => {
+        ws.on('message', (data, isBinary) => {
+            if (isBinary) {
+                try {
+                    mux.receive(data);
+                } catch (err) {
+                    logError(`Invalid tunnel frame: ${err.message}`);
+                }
+                return;
+            }
+
             try {
-                const request = JSON.parse(data);
-                const { id, method, path, headers, body, files, type, alias } = request;
+                const {
+                    type, name, uuid, alias, tcpHost, tcpPort, grpcPort, protection, resumeToken, resumed, code, retryAfter, message,
+                } = JSON.parse(data);
+                const tunnel = tunnels.find(t => t.name === name);
 
-                if (type === 'registered') {
-                    const generatedUrl = `https://${alias}.${CONFIG.BASE_DOMAIN}`;
-                    console.log();
-                    logSuccess('Tunnel established');
-                    log(`Public URL:     ${colors.cyan}${generatedUrl}${colors.reset}`, colors.bright);
-                    log(`Forwarding to:  ${colors.cyan}http://localhost:${localPort}${colors.reset}`, colors.bright);
-                    
-                    if (isAnonymous) {
-                        logDim(`Anonymous session will expire in ${CONFIG.ANONYMOUS_TIMEOUT / 1000 / 60} minutes`);
-                    }
-                    
-                    console.log();
-                    logDim('Waiting for connections...');
-                    console.log();
-                    return;
-                }
+                if (type === 'error') {
+                    logError(`Server error: ${tunnel ? label(tunnel) : ''}${message}`);
 
-                // Prepare axios configuration
-                let axiosConfig = {
-                    method,
-                    url: `http://localhost:${localPort}${path}`,
-                    headers: { ...headers },
-                    validateStatus: () => true,
-                    responseType: 'arraybuffer',
-                    timeout: 30000, // 30 second timeout
-                };
-
-                // Handle multipart/form-data with files
-                if (headers['content-type']?.includes('multipart/form-data') && files?.length) {
-                    const form = new FormData();
-
-                    for (const key in body) {
-                        form.append(key, body[key]);
+                    // No tunnel can work until the token or the client is replaced
+                    if (code === ERROR_CODE.AUTH_FAILED || code === ERROR_CODE.VERSION_UNSUPPORTED) {
+                        giveUp(code === ERROR_CODE.AUTH_FAILED
+                            ? 'The server rejected the token, run "comzy login" with a valid one'
+                            : 'This client cannot talk to the server, install the version it supports');
+                        return;
                     }
 
-                    for (const file of files) {
-                        form.append(file.fieldname, Buffer.from(file.buffer.data), {
-                            filename: file.originalname,
-                            contentType: file.mimetype
-                        });
+                    if (tunnel && !tunnel.publicUrl && !tunnel.error) {
+                        tunnel.error = message;
+                        tunnel.errorCode = code;
+                        if (code === ERROR_CODE.LIMIT_EXCEEDED) {
+                            waitBeforeRetry = Math.max(waitBeforeRetry, retryAfter || 0);
+                        }
+                        registrationAnswered();
                     }
+                    return;
+                }
 
-                    axiosConfig.headers = form.getHeaders();
-                    axiosConfig.data = form;
-                } else {
-                    axiosConfig.data = body;
+                // Servers without gRPC tunnels register them as HTTP ones
+                if (type === 'registered' && tunnel?.proto === 'grpc' && !grpcPort) {
+                    tunnel.error = 'the server does not support gRPC tunnels';
+                    logError(`Server error: ${label(tunnel)}The server does not support gRPC tunnels`);
+                    registrationAnswered();
+                    return;
                 }
 
-                logDim(`${method} ${path} -> localhost:${localPort}`);
-
-                const response = await axios(axiosConfig);
-
-                // Handle response body based on content type
-                let responseBody;
-                const contentType = response.headers['content-type'] || '';
-                
-                if (contentType.startsWith('image/') || 
-                    contentType.startsWith('video/') || 
-                    contentType.startsWith('audio/') || 
-                    contentType.includes('application/octet-stream') ||
-                    contentType.includes('application/pdf')) {
-                    
-                    // For binary data, convert to base64
-                    responseBody = {
-                        type: 'binary',
-                        data: Buffer.from(response.data).toString('base64')
-                    };
-                } else {
-                    // For text data, convert ArrayBuffer to string
-                    responseBody = Buffer.from(response.data).toString('utf8');
-                    
-                    // Try to parse as JSON if it's JSON content
-                    if (contentType.includes('application/json')) {
-                        try {
-                            responseBody = JSON.parse(responseBody);
-                        } catch (e) {
-                            // Keep as string if JSON parsing fails
-                        }
-                    }
+                if (type === 'registered' && tunnel) {
+                    tunnel.publicUrl = tcpPort ? `tcp://${tcpHost}:${tcpPort}`
+                        : grpcPort ? `https://${alias}.${CONFIG.BASE_DOMAIN}:${grpcPort}`
+                        : `https://${alias}.${CONFIG.BASE_DOMAIN}`;
+                    tunnel.protection = protection;
+                    tunnel.resumeToken = resumeToken;
+                    tunnel.resumed = Boolean(resumed);
+                    tunnelsByUUID.set(uuid, tunnel);
+                    registrationAnswered();
                 }
+            } catch (err) {
+                logError(`Invalid message from server: ${err.message}`);
+            }
+        });
+    }
 
-                ws.send(JSON.stringify({
-                    id,
-                    status: response.status,
-                    headers: response.headers,
-                    body: responseBody
-                }));
+    // --- Print the public URLs once every tunnel has an answer ---
+    function registrationAnswered() {
+        if (--pendingRegistrations > 0) return;
 
-            } catch (err) {
-                logError(`Proxy error: ${err.message}`);
+        const established = tunnels.filter(t => t.publicUrl);
+        if (established.length === 0) {
+            // Limits clear with time: try again later rather than give up
+            if (tunnels.every(t => t.errorCode === ERROR_CODE.LIMIT_EXCEEDED)) {
+                logWarning(`The server is limiting new tunnels, trying again later`);
+                ws.close(1000);
+                return;
+            }
+            giveUp(`The server refused ${isMulti ? 'every tunnel' : 'the tunnel'}, exiting`);
+            return;
+        }
+        reconnectAttempts = 0;
 
-                try {
-                    ws.send(JSON.stringify({
-                        id: JSON.parse(data)?.id,
-                        status: 500,
-                        headers: { 'content-type': 'application/json' },
-                        body: { error: 'Internal server error' }
-                    }));
-                } catch (sendErr) {
-                    logError(`Failed to send error response: ${sendErr.message}`);
+        // Same URLs as before the reconnect, and requests sent meanwhile were held
+        if (tunnels.every(t => t.resumed)) {
+            logSuccess(`${isMulti ? 'Tunnels' : 'Tunnel'} resumed`);
+            return;
+        }
+
+        console.log();
+        if (isMulti) {
+            logSuccess(`${established.length} of ${tunnels.length} tunnels established`);
+            const rows = [['Tunnel', 'Public URL', 'Forwarding to'], ...tunnels.map(t => [
+                t.name,
+                t.publicUrl || `failed: ${t.error}`,
+                upstreamUrl(t),
+            ])];
+            const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+            rows.forEach((row, i) => {
+                const line = row.map((cell, column) => cell.padEnd(widths[column])).join('   ').trimEnd();
+                log(`  ${line}`, i === 0 ? colors.bright : tunnels[i - 1].publicUrl ? colors.cyan : colors.red);
+            });
+            console.log();
+            for (const t of established) {
+                if (t.protection?.basicAuth) {
+                    logDim(`  ${t.name}: basic auth user "${t.protection.basicAuth}"`);
+                }
+                if (t.protection?.allowIps) {
+                    logDim(`  ${t.name}: allowed IPs ${t.protection.allowIps.join(', ')}`);
+                }
+                if (t.protection?.login) {
+                    logDim(`  ${t.name}: login via ${describeLogin(t.protection.login)}`);
                 }
+                if (t.rules) {
+                    logDim(`  ${t.name}: ${t.rules.count} rules from ${t.rules.file}`);
+                }
+                if (t.faults) {
+                    logWarning(`  ${t.name}: injecting ${t.faultSummary}`);
+                }
+            }
+            if (inspectorUrl) {
+                log(`Inspector:      ${colors.cyan}${inspectorUrl}${colors.reset}`, colors.bright);
+            }
+        } else {
+            const [tunnel] = established;
+            logSuccess('Tunnel established');
+            log(`Public URL:     ${colors.cyan}${tunnel.publicUrl}${colors.reset}`, colors.bright);
+            log(`${tunnel.files ? 'Serving:        ' : 'Forwarding to:  '}${colors.cyan}${upstreamUrl(tunnel)}${colors.reset}`, colors.bright);
+            if (inspectorUrl) {
+                log(`Inspector:      ${colors.cyan}${inspectorUrl}${colors.reset}`, colors.bright);
+            }
+            if (tunnel.protection?.basicAuth) {
+                log(`Basic auth:     ${colors.cyan}user "${tunnel.protection.basicAuth}"${colors.reset}`, colors.bright);
+            }
+            if (tunnel.protection?.allowIps) {
+                log(`Allowed IPs:    ${colors.cyan}${tunnel.protection.allowIps.join(', ')}${colors.reset}`, colors.bright);
+            }
+            if (tunnel.protection?.login) {
+                log(`Login:          ${colors.cyan}${describeLogin(tunnel.protection.login)}${colors.reset}`, colors.bright);
+            }
+            if (tunnel.rules) {
+                log(`Rules:          ${colors.cyan}${tunnel.rules.file} (${tunnel.rules.count})${colors.reset}`, colors.bright);
+            }
+            if (tunnel.faults) {
+                log(`Faults:         ${colors.yellow}${tunnel.faultSummary}${colors.reset}`, colors.bright);
+            }
+        }
+
+        if (isAnonymous) {
+            logDim(`Anonymous session will expire in ${CONFIG.ANONYMOUS_TIMEOUT / 1000 / 60} minutes`);
+        }
+
+        console.log();
+        logDim('Waiting for connections...');
+        console.log();
+    }
+
+    function handleStream(stream, head) {
+        const tunnel = tunnelsByUUID.get(head.tunnel);
+
+        if (!tunnel) {
+            stream.on('error', () => {});
+            stream.destroy(new Error('Unknown tunnel'));
+        } else if (head.proto === 'tcp') {
+            proxyTcp(tunnel, stream, head);
+        } else if (head.proto === 'grpc') {
+            proxyGrpc(tunnel, stream, head);
+        } else if (tunnel.files) {
+            serveFiles(tunnel, stream, head);
+        } else if (head.upgrade) {
+            proxyUpgrade(tunnel, stream, head);
+        } else {
+            proxyRequest(tunnel, stream, head);
+        }
+    }
+
+    // --- Send a locally generated error response down a stream ---
+    function sendErrorResponse(stream, status, error) {
+        const body = JSON.stringify({ error });
+        stream.sendHeaders({
+            status,
+            rawHeaders: ['Content-Type', 'application/json', 'Content-Length', String(Buffer.byteLength(body))],
+        });
+        stream.end(body);
+    }
+
+    // --- Proxy one tunneled request to the local server ---
+    // The stream's readable side is the visitor's request body and its writable
+    // side carries our response body back, so nothing is held in memory whole.
+    // Response rules and injected faults decide first whether the request
+    // reaches the local server at all.
+    function proxyRequest(tunnel, stream, head) {
+        const { method } = head;
+        const forwarded = { path: head.path, rawHeaders: upstreamHeaders(tunnel, head) };
+        const ruling = tunnel.rules?.apply({ method, ...forwarded });
+        const { path, rawHeaders } = ruling || forwarded;
+        const faults = mergeFaults(tunnelFaults(tunnel, head.path), ruling?.faults);
+        const fault = faults && rollFaults(faults);
+
+        const destination = fault?.drop || fault?.status ? ''
+            : ruling?.stub ? ' -> stub'
+            : ` -> ${upstreamUrl(tunnel)}${path !== head.path ? path : ''}`;
+        const applied = ruling?.rules.length ? ` (rule ${ruling.rules.join(', ')})` : '';
+        const marks = fault ? describeFaults(fault) : '';
+        logDim(`${label(tunnel)}${method} ${head.path}${destination}${applied}${marks && ` ${marks}`}`);
+
+        // Streams are open-ended, so the visitor leaving is how they usually end.
+        // Visitors may also hang up once a body is in, before our end of it arrives.
+        let streamingSince = null;
+        const elapsed = () => `${((Date.now() - streamingSince) / 1000).toFixed(1)}s`;
+        stream.on('error', (err) => {
+            if (stream.writableEnded) return;
+            if (streamingSince) {
+                logDim(`${label(tunnel)}${method} ${path} stream closed after ${elapsed()} (${err.message})`);
+            } else {
+                logWarning(`${label(tunnel)}${method} ${path} aborted: ${err.message}`);
             }
         });
+        const recorder = inspector?.capture({ tunnel: tunnel.name, method, path, rawHeaders });
+        if (recorder) {
+            stream.on('close', () => recorder.finish(stream.writableFinished ? null : new Error('Aborted')));
+        }
+
+        // The body is only read from here on, so it waits out any injected latency
+        const start = () => {
+            if (recorder) {
+                stream.on('data', recorder.requestData);
+            }
+            if (fault?.drop) {
+                stream.resume(); // Never answered: the visitor's or the server's timeout ends it
+            } else if (fault?.status) {
+                stream.resume();
+                sendErrorResponse(stream, fault.status, 'Injected fault');
+                recorder?.response({ status: fault.status, rawHeaders: [] });
+                recorder?.finish(new Error(`Injected ${fault.status}`));
+            } else if (ruling?.stub) {
+                respondFromRule(tunnel, stream, method, ruling, recorder);
+            } else {
+                forwardRequest(tunnel, stream, {
+                    method,
+                    path,
+                    rawHeaders,
+                    ruling,
+                    recorder,
+                    bandwidth: fault?.bandwidth,
+                    onStreaming: (contentType) => {
+                        streamingSince = Date.now();
+                        logDim(`${label(tunnel)}${method} ${path} streaming${contentType ? ` ${contentType}` : ''}`);
+                        stream.on('finish', () => logDim(`${label(tunnel)}${method} ${path} stream ended after ${elapsed()}`));
+                    },
+                });
+            }
+        };
+
+        if (fault?.delay) {
+            const timer = setTimeout(start, fault.delay);
+            stream.on('close', () => clearTimeout(timer));
+        } else {
+            start();
+        }
+    }
+
+    // Node's http client is used rather than axios so the request goes out with
+    // exactly the visitor's headers and bytes, and the response comes back with
+    // its raw header list and undecoded body.
+    //
+    // Waiting for the response head is bounded by the server (REQUEST_TIMEOUT),
+    // which aborts the stream. After that a body that stalls for 30 seconds is
+    // cut off, unless it is a stream: those stay open until either side closes.
+    function forwardRequest(tunnel, stream, { method, path, rawHeaders, ruling, recorder, bandwidth, onStreaming }) {
+        // Each direction gets its own throttle, like a full-duplex link
+        const upload = bandwidth && createThrottle(bandwidth);
+        const download = bandwidth && createThrottle(bandwidth);
+
+        const request = requestUpstream(tunnel, {
+            method,
+            path,
+            headers: rawHeaders,
+            timeout: 0, // Not the agent's idle timeout either
+        });
+
+        request.on('response', (response) => {
+            const rawHeaders = stripHopByHopHeaders(response.rawHeaders);
+            if (isStreamingResponse({ method, status: response.statusCode, rawHeaders })) {
+                onStreaming(response.headers['content-type']);
+            } else {
+                request.setTimeout(30000);
+            }
+
+            const head = {
+                status: response.statusCode,
+                statusMessage: response.statusMessage,
+                rawHeaders: ruling ? ruling.editResponse(rawHeaders) : rawHeaders,
+            };
+            stream.sendHeaders(head);
+            recorder?.response(head);
+
+            if (recorder) {
+                response.on('data', recorder.responseData);
+            }
+            response.on('error', (err) => stream.destroy(err));
+            if (download) {
+                response.pipe(download).pipe(stream);
+            } else {
+                response.pipe(stream);
+            }
+        });
+
+        request.on('timeout', () => request.destroy(new Error('Local server stopped sending the response')));
+
+        request.on('error', (err) => {
+            if (stream.destroyed) return;
+
+            logError(`${label(tunnel)}Proxy error: ${err.message}`);
+            if (err.code && CERTIFICATE_ERRORS.has(err.code)) {
+                logDim('Use --insecure (insecure: true in the config file) to accept this certificate');
+            }
+            recorder?.finish(err);
+            if (request.res) {
+                stream.destroy(err);
+            } else {
+                sendErrorResponse(stream, 500, 'Internal server error');
+            }
+        });
+
+        // Abort the local request if the visitor, the server or the tunnel gives up
+        stream.on('close', () => {
+            if (!stream.writableFinished) request.destroy();
+            upload?.destroy();
+            download?.destroy();
+        });
+
+        if (upload) {
+            stream.pipe(upload).pipe(request);
+        } else {
+            stream.pipe(request);
+        }
+    }
+
+    // --- Answer a request with the stub response a rule gave ---
+    function respondFromRule(tunnel, stream, method, ruling, recorder) {
+        stream.resume(); // The request body goes nowhere
+
+        const { status, rawHeaders, file, body } = ruling.stub;
+        (file ? fs.promises.readFile(file) : Promise.resolve(body)).then((content) => {
+            if (stream.destroyed) return;
+
+            const bodiless = status === 204 || status === 304;
+            const head = {
+                status,
+                rawHeaders: ruling.editResponse(bodiless ? rawHeaders : [...rawHeaders, 'Content-Length', String(content.length)]),
+            };
+            stream.sendHeaders(head);
+            recorder?.response(head);
+            if (method === 'HEAD' || bodiless) {
+                stream.end();
+                return;
+            }
+            recorder?.responseData(content);
+            stream.end(content);
+        }).catch((err) => {
+            logError(`${label(tunnel)}Could not read stub ${file}: ${err.message}`);
+            if (!stream.destroyed) {
+                sendErrorResponse(stream, 500, 'Internal server error');
+            }
+        });
+    }
+
+    // --- Proxy one upgrade (WebSocket) request to the local server ---
+    // Once the local server answers 101 the stream becomes a raw byte pipe
+    // between the visitor's socket and the local one.
+    function proxyUpgrade(tunnel, stream, head) {
+        const { method, path } = head;
+        logDim(`${label(tunnel)}${method} ${path} -> ${upstreamUrl(tunnel)} (upgrade)`);
+
+        const request = requestUpstream(tunnel, {
+            method,
+            path,
+            headers: upstreamHeaders(tunnel, head),
+        });
+
+        request.on('upgrade', (response, socket, upgradeHead) => {
+            stream.sendHeaders({
+                status: response.statusCode,
+                statusMessage: response.statusMessage,
+                rawHeaders: response.rawHeaders,
+            });
+
+            if (upgradeHead.length) {
+                stream.write(upgradeHead);
+            }
+            socket.pipe(stream);
+            stream.pipe(socket);
+
+            socket.on('error', (err) => stream.destroy(err));
+        });
+
+        // The local server declined the upgrade and answered with a normal
+        // response. It reaches the visitor's raw socket already de-chunked, so
+        // it is framed by closing the connection instead.
+        request.on('response', (response) => {
+            const rawHeaders = stripHopByHopHeaders(response.rawHeaders)
+                .filter((value, i, list) => list[i - (i % 2)].toLowerCase() !== 'transfer-encoding');
+            stream.sendHeaders({
+                status: response.statusCode,
+                statusMessage: response.statusMessage,
+                rawHeaders: [...rawHeaders, 'Connection', 'close'],
+            });
+            response.pipe(stream);
+        });
+
+        request.on('error', (err) => {
+            if (stream.destroyed) return;
+
+            logError(`${label(tunnel)}Upgrade error: ${err.message}`);
+            sendErrorResponse(stream, 502, 'Bad gateway');
+        });
+
+        // Tear the local connection down if the visitor or the tunnel went away
+        stream.on('error', (err) => logWarning(`${label(tunnel)}${method} ${path} aborted: ${err.message}`));
+        stream.on('close', () => {
+            if (!stream.readableEnded || !stream.writableFinished) {
+                request.destroy();
+            }
+        });
+        request.end();
+    }
+
+    // --- Answer one tunneled request from the served directory ---
+    function serveFiles(tunnel, stream, { method, path, rawHeaders, upgrade }) {
+        logDim(`${label(tunnel)}${method} ${path}`);
+        stream.on('error', (err) => logWarning(`${label(tunnel)}${method} ${path} aborted: ${err.message}`));
+        stream.resume(); // Request bodies are not used
+
+        if (upgrade) {
+            sendErrorResponse(stream, 501, 'Upgrades are not supported when serving files');
+            return;
+        }
+
+        const headers = {};
+        for (let i = 0; i < rawHeaders.length; i += 2) {
+            headers[rawHeaders[i].toLowerCase()] ??= rawHeaders[i + 1];
+        }
+
+        tunnel.files.handle({ method, path, headers }).then((response) => {
+            if (stream.destroyed) {
+                response.body?.destroy?.();
+                return;
+            }
+            stream.sendHeaders({ status: response.status, rawHeaders: Object.entries(response.headers).flat() });
+            if (!response.body || Buffer.isBuffer(response.body)) {
+                stream.end(response.body || undefined);
+                return;
+            }
+            response.body.on('error', (err) => stream.destroy(err));
+            stream.on('close', () => response.body.destroy());
+            response.body.pipe(stream);
+        }).catch((err) => {
+            logError(`${label(tunnel)}Could not serve ${path}: ${err.message}`);
+            if (!stream.destroyed) {
+                sendErrorResponse(stream, 500, 'Internal server error');
+            }
+        });
+    }
+
+    // --- Proxy one gRPC (or other HTTP/2) request to the local server ---
+    // Messages are passed on as they arrive in both directions, with no
+    // timeout, so streaming RPCs stay open for as long as either side wants.
+    // The upstream's trailers (grpc-status) go back after the body.
+    function proxyGrpc(tunnel, stream, head) {
+        const { method, path } = head;
+        logDim(`${label(tunnel)}${method} ${path} -> ${upstreamUrl(tunnel)}`);
+
+        stream.on('error', (err) => {
+            if (!stream.writableEnded) {
+                logDim(`${label(tunnel)}${method} ${path} closed (${err.message})`);
+            }
+        });
+
+        let request;
+        try {
+            request = requestUpstreamH2(tunnel, method, path, upstreamHeaders(tunnel, head));
+        } catch (err) {
+            logError(`${label(tunnel)}Proxy error: ${err.message}`);
+            sendErrorResponse(stream, 502, 'Bad gateway');
+            return;
+        }
+
+        let responded = false;
+        request.on('response', (headers, flags) => {
+            responded = true;
+            stream.sendHeaders({
+                status: headers[':status'],
+                rawHeaders: flattenH2Headers(headers),
+                // Trailers-only: the status came with the head and no body follows
+                endStream: Boolean(flags & http2.constants.NGHTTP2_FLAG_END_STREAM),
+            });
+        });
+        request.on('trailers', (trailers) => stream.setTrailers(flattenH2Headers(trailers)));
+
+        request.on('error', (err) => {
+            if (stream.destroyed) return;
+
+            logError(`${label(tunnel)}Proxy error: ${err.message}`);
+            if (err.code && CERTIFICATE_ERRORS.has(err.code)) {
+                logDim('Use --insecure (insecure: true in the config file) to accept this certificate');
+            }
+            // gRPC callers read a 502 as UNAVAILABLE, which they may retry
+            if (responded) {
+                stream.destroy(err);
+            } else {
+                sendErrorResponse(stream, 502, 'Bad gateway');
+            }
+        });
+
+        // Cancel the local call if the caller, the server or the tunnel gives up
+        stream.on('close', () => {
+            if (!stream.writableFinished) request.close(http2.constants.NGHTTP2_CANCEL);
+        });
+
+        stream.pipe(request);
+        request.pipe(stream);
+    }
+
+    // --- Proxy one raw TCP connection to the local port ---
+    function proxyTcp(tunnel, stream, { remoteAddress, remotePort }) {
+        logDim(`${label(tunnel)}TCP ${remoteAddress}:${remotePort} -> ${upstreamUrl(tunnel)}`);
+
+        const socket = net.connect({ host: tunnel.host, port: tunnel.port });
+
+        socket.pipe(stream);
+        stream.pipe(socket);
+
+        socket.on('error', (err) => {
+            logError(`${label(tunnel)}TCP error: ${err.message}`);
+            stream.destroy(err);
+        });
+        stream.on('error', () => socket.destroy());
     }
 
     function cleanup() {
@@ -381,38 +1496,58 @@ async function main() {
         clearTimeout(reconnectTimeout);
     }
 
+    // --- Stop for good after an error retrying cannot fix ---
+    function giveUp(message) {
+        logError(message);
+        isShuttingDown = true;
+        cleanup();
+        inspector?.close();
+        ws.close(1000);
+        process.exitCode = 1;
+    }
+
+    // --- Reconnect with exponential backoff ---
+    // Each attempt waits up to twice as long as the one before, capped at
+    // RECONNECT_MAX_DELAY. Half of the wait is random, so clients dropped by
+    // the same server restart don't all come back at the same moment.
     function attemptReconnect() {
         if (reconnectTimeout || isShuttingDown) return;
-        
-        logInfo(`Reconnecting in ${CONFIG.RECONNECT_DELAY / 1000} seconds...`);
+
+        reconnectAttempts++;
+        const ceiling = Math.min(CONFIG.RECONNECT_MAX_DELAY, CONFIG.RECONNECT_DELAY * 2 ** (reconnectAttempts - 1));
+        const delay = Math.max(ceiling / 2 + Math.random() * ceiling / 2, waitBeforeRetry * 1000);
+        waitBeforeRetry = 0;
+
+        const at = new Date(Date.now() + delay).toLocaleTimeString();
+        logInfo(`Reconnect attempt ${reconnectAttempts} in ${(delay / 1000).toFixed(1)}s (at ${at})`);
         reconnectTimeout = setTimeout(() => {
             reconnectTimeout = null;
             connect();
-        }, CONFIG.RECONNECT_DELAY);
+        }, delay);
     }
 
-    // Handle graceful shutdown
-    process.on('SIGINT', () => {
-        console.log();
-        logInfo('Shutting down tunnel...');
-        isShuttingDown = true;
-        cleanup();
-        if (ws) {
-            ws.close();
+    // --- Graceful shutdown ---
+    // Waits for the server to acknowledge the close, so it drops the tunnels
+    // at once instead of holding them for a resume
+    function shutdown(message) {
+        if (isShuttingDown) {
+            process.exit(0); // A second signal does not wait
         }
-        process.exit(0);
-    });
-
-    process.on('SIGTERM', () => {
         console.log();
-        logInfo('Received termination signal...');
+        logInfo(message);
         isShuttingDown = true;
         cleanup();
-        if (ws) {
-            ws.close();
+        inspector?.close();
+        if (!ws || ws.readyState === WebSocket.CLOSED) {
+            process.exit(0);
         }
-        process.exit(0);
-    });
+        ws.once('close', () => process.exit(0));
+        setTimeout(() => process.exit(0), SHUTDOWN_TIMEOUT);
+        ws.close(1000); // A normal closure: the server need not hold the tunnels
+    }
+
+    process.on('SIGINT', () => shutdown('Shutting down tunnel...'));
+    process.on('SIGTERM', () => shutdown('Received termination signal...'));
 
     connect();
 }
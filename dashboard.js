@@ -0,0 +1,189 @@
+const { WebSocketServer } = require('ws');
+const { createHash } = require('crypto');
+
+// ===== Dashboard =====
+// Live view of tunnels over the admin WebSocket. Viewers authenticate with a
+// token (`Authorization: Bearer <token>` or `?token=` for browsers) when they
+// connect: users see their own tunnels, admins see every tunnel. Nothing is
+// polled; events are pushed as they happen:
+//
+//   snapshot             { tunnels: [tunnel] } right after connecting
+//   tunnel_connected     { tunnel }
+//   tunnel_disconnected  { id }
+//   request_completed    { id, request: { requestId, method, path, status, latencyMs, bytesIn, bytesOut } }
+//   tunnel_stats         { id, stats } every `statsInterval` ms while a tunnel has traffic
+//
+// Stats cover the last `statsWindow` ms. Tokens never leave the server: a
+// tunnel's owner is shown as a short fingerprint of it.
+
+function fingerprint(userId) {
+    return createHash('sha256').update(userId).digest('hex').slice(0, 12);
+}
+
+function tokenFrom(req) {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if (scheme?.toLowerCase() === 'bearer' && token) {
+        return token;
+    }
+    return new URL(req.url, 'http://localhost').searchParams.get('token');
+}
+
+function createDashboard({ server, authenticate, statsWindow = 60000, statsInterval = 5000 }) {
+    const wss = new WebSocketServer({ noServer: true });
+    const viewers = new Set(); // Set<{ ws, userId, admin }>
+    const tunnels = new Map(); // Map<id, { userId, info, buckets, total, active }>
+
+    server.on('upgrade', async (req, socket, head) => {
+        // Viewers may hang up while their token is checked
+        socket.on('error', (err) => {
+            console.warn(`[DASHBOARD] Socket error on upgrade: ${err.message}`);
+        });
+
+        const token = tokenFrom(req);
+        let viewer = null;
+        try {
+            viewer = token ? await authenticate(token.trim().toLowerCase()) : null;
+        } catch (err) {
+            console.error('[DASHBOARD] Authentication failed:', err.message);
+        }
+        if (!viewer) {
+            socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+            return;
+        }
+        wss.handleUpgrade(req, socket, head, ws => connected(ws, viewer));
+    });
+
+    function connected(ws, { userId, admin }) {
+        const viewer = { ws, userId, admin };
+        console.log(`[DASHBOARD] ${admin ? 'Admin' : 'User'} ${fingerprint(userId)} connected`);
+        viewers.add(viewer);
+
+        ws.on('close', () => {
+            console.log(`[DASHBOARD] ${admin ? 'Admin' : 'User'} ${fingerprint(userId)} disconnected`);
+            viewers.delete(viewer);
+        });
+
+        const visible = [...tunnels.values()].filter(tunnel => canSee(viewer, tunnel));
+        send(ws, { type: 'snapshot', tunnels: visible.map(describe) });
+    }
+
+    function canSee(viewer, tunnel) {
+        return viewer.admin || viewer.userId === tunnel.userId;
+    }
+
+    function send(ws, event) {
+        if (ws.readyState === 1) {
+            ws.send(JSON.stringify(event));
+        }
+    }
+
+    function publish(tunnel, event) {
+        for (const viewer of viewers) {
+            if (canSee(viewer, tunnel)) {
+                send(viewer.ws, event);
+            }
+        }
+    }
+
+    function describe(tunnel) {
+        return { ...tunnel.info, owner: fingerprint(tunnel.userId), stats: stats(tunnel) };
+    }
+
+    // --- Rolling stats ---
+    // One bucket per second; buckets older than the window are dropped
+    function stats(tunnel) {
+        const since = Math.floor((Date.now() - statsWindow) / 1000);
+        while (tunnel.buckets.length && tunnel.buckets[0].second <= since) {
+            tunnel.buckets.shift();
+        }
+
+        const window = { requests: 0, errors: 0, totalLatencyMs: 0, maxLatencyMs: 0, bytesIn: 0, bytesOut: 0 };
+        for (const bucket of tunnel.buckets) {
+            window.requests += bucket.requests;
+            window.errors += bucket.errors;
+            window.totalLatencyMs += bucket.totalLatencyMs;
+            window.maxLatencyMs = Math.max(window.maxLatencyMs, bucket.maxLatencyMs);
+            window.bytesIn += bucket.bytesIn;
+            window.bytesOut += bucket.bytesOut;
+        }
+
+        return {
+            windowMs: statsWindow,
+            requests: window.requests,
+            errors: window.errors,
+            requestsPerSecond: Math.round(window.requests / (statsWindow / 1000) * 100) / 100,
+            avgLatencyMs: window.requests ? Math.round(window.totalLatencyMs / window.requests) : 0,
+            maxLatencyMs: window.maxLatencyMs,
+            bytesIn: window.bytesIn,
+            bytesOut: window.bytesOut,
+            totalRequests: tunnel.total,
+        };
+    }
+
+    function record(tunnel, { status, latencyMs, bytesIn, bytesOut }) {
+        const second = Math.floor(Date.now() / 1000);
+        let bucket = tunnel.buckets[tunnel.buckets.length - 1];
+        if (bucket?.second !== second) {
+            bucket = { second, requests: 0, errors: 0, totalLatencyMs: 0, maxLatencyMs: 0, bytesIn: 0, bytesOut: 0 };
+            tunnel.buckets.push(bucket);
+        }
+        bucket.requests++;
+        bucket.errors += status >= 500 ? 1 : 0;
+        bucket.totalLatencyMs += latencyMs;
+        bucket.maxLatencyMs = Math.max(bucket.maxLatencyMs, latencyMs);
+        bucket.bytesIn += bytesIn;
+        bucket.bytesOut += bytesOut;
+        tunnel.total++;
+        tunnel.active = true;
+    }
+
+    // Tunnels with traffic in the window get fresh stats, and one last
+    // update once it empties so viewers see them drop to zero
+    const statsTimer = setInterval(() => {
+        for (const [id, tunnel] of tunnels) {
+            if (!tunnel.active) {
+                continue;
+            }
+            const current = stats(tunnel);
+            tunnel.active = current.requests > 0;
+            publish(tunnel, { type: 'tunnel_stats', id, stats: current });
+        }
+    }, statsInterval);
+
+    // --- Events ---
+    // `info` is what viewers see of the tunnel: { id, alias, url, proto, port, ... }
+    function tunnelConnected(id, userId, info) {
+        const tunnel = { userId, info: { id, ...info }, buckets: [], total: 0, active: false };
+        tunnels.set(id, tunnel);
+        publish(tunnel, { type: 'tunnel_connected', tunnel: describe(tunnel) });
+    }
+
+    function tunnelDisconnected(id) {
+        const tunnel = tunnels.get(id);
+        if (tunnel) {
+            tunnels.delete(id);
+            publish(tunnel, { type: 'tunnel_disconnected', id });
+        }
+    }
+
+    function requestCompleted(id, { requestId, method, path, statusCode, latencyMs, bytesIn, bytesOut }) {
+        const tunnel = tunnels.get(id);
+        if (!tunnel) {
+            return;
+        }
+        const request = { requestId, method, path, status: statusCode, latencyMs, bytesIn, bytesOut };
+        record(tunnel, request);
+        publish(tunnel, { type: 'request_completed', id, request });
+    }
+
+    function close() {
+        clearInterval(statsTimer);
+        for (const { ws } of viewers) {
+            ws.close();
+        }
+    }
+
+    return { tunnelConnected, tunnelDisconnected, requestCompleted, close };
+}
+
+module.exports = { createDashboard };
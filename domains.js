@@ -0,0 +1,353 @@
+const fs = require('fs');
+const http = require('http');
+const tls = require('tls');
+const dns = require('dns').promises;
+const { randomBytes } = require('crypto');
+const acme = require('acme-client');
+
+// ===== Custom Domains =====
+// Users point a hostname they own at one of their aliases. A domain starts
+// out `pending` with a verification token, becomes `verified` once the user
+// proves control (a DNS TXT record, or the hostname reaching this server over
+// HTTP), and `active` once an ACME CA (Let's Encrypt, or Pebble in testing)
+// has issued its certificate through an http-01 challenge answered here.
+// Rows live in the custom_domains table of the configured storage and are
+// reloaded periodically, so domains added or certificates issued elsewhere
+// are picked up without a restart. In a cluster only the node holding the
+// registry's `acme` lock orders certificates, and challenge answers are kept
+// in the registry, so whichever node the CA reaches can answer it.
+
+const DOMAIN_PATTERN = /^(?=.{4,253}$)(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z][a-z0-9-]{0,61}[a-z0-9]$/;
+const VERIFY_PATH = '/.well-known/comzy-challenge/';
+const DNS_RECORD_PREFIX = '_comzy-challenge.';
+const RENEW_BEFORE = 30 * 24 * 60 * 60 * 1000; // Renew certificates expiring within 30 days
+const RETRY_RENEWAL_AFTER = 6 * 60 * 60 * 1000; // Wait between failed renewals, well inside CA rate limits
+const CHALLENGE_TTL = 60 * 60 * 1000; // Answers outlive any order that forgets to remove them by this long
+const ACME_CHALLENGE_PATH = '/.well-known/acme-challenge/';
+const ROUTABLE = new Set(['verified', 'active']);
+
+function domainError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function createDomainManager({
+    storage,
+    registry,
+    baseDomain,
+    defaultCertificate, // { cert, key } served when a hostname has no certificate of its own
+    acmeDirectoryUrl,
+    acmeEmail,
+    acmeAccountKeyPath,
+    verifyHttpPort = 80,
+    refreshInterval = 60 * 1000,
+}) {
+    const domains = new Map(); // Map<domain, { ...row, context }>
+    const issuing = new Set(); // Domains with an ACME order in flight
+    const failedAt = new Map(); // Map<domain, time its last order failed>
+    const defaultContext = tls.createSecureContext(defaultCertificate);
+    const issuerLease = 3 * refreshInterval; // Another node takes over this long after the issuer stops
+    let acmeClient = null;
+    let issuer = false;
+
+    // --- Cache ---
+    async function load() {
+        const rows = await storage.listCustomDomains();
+
+        const seen = new Set();
+        for (const row of rows) {
+            const cached = domains.get(row.domain);
+            let context = cached?.certPem === row.certPem ? cached.context : null;
+            if (!context && row.certPem && row.keyPem) {
+                try {
+                    context = tls.createSecureContext({ cert: row.certPem, key: row.keyPem });
+                } catch (err) {
+                    console.error(`[DOMAINS] Unusable certificate for ${row.domain}: ${err.message}`);
+                }
+            }
+            domains.set(row.domain, { ...row, context });
+            seen.add(row.domain);
+        }
+        for (const domain of domains.keys()) {
+            if (!seen.has(domain)) {
+                domains.delete(domain);
+            }
+        }
+    }
+
+    function describe(row) {
+        return {
+            domain: row.domain,
+            alias: row.alias,
+            status: row.status,
+            certificateExpiresAt: row.certExpiresAt ? new Date(row.certExpiresAt).toISOString() : null,
+            lastError: row.lastError || null,
+            verification: row.status === 'pending' ? {
+                dns: { type: 'TXT', name: `${DNS_RECORD_PREFIX}${row.domain}`, value: row.token },
+                http: { url: `http://${row.domain}${VERIFY_PATH}${row.token}` },
+            } : undefined,
+        };
+    }
+
+    async function findOwned(userId, domain) {
+        const rows = await storage.listCustomDomains({ userId, domain });
+        if (rows.length === 0) {
+            throw domainError(404, `Domain ${domain} is not registered to your account`);
+        }
+        return rows[0];
+    }
+
+    // --- Lookups used by the proxy ---
+    function aliasFor(host) {
+        const entry = domains.get(host);
+        return entry && ROUTABLE.has(entry.status) ? entry.alias : undefined;
+    }
+
+    // tls SNICallback: the domain's own certificate, else the default one
+    function sniCallback(servername, callback) {
+        callback(null, domains.get(servername?.toLowerCase())?.context || defaultContext);
+    }
+
+    // Answers ownership checks for pending domains and ACME http-01
+    // challenges; resolves to false for anything else
+    async function handleChallenge(req, res) {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const host = (req.headers.host || '').split(':')[0].toLowerCase();
+
+        if (pathname.startsWith(VERIFY_PATH)) {
+            const entry = domains.get(host);
+            const token = pathname.slice(VERIFY_PATH.length);
+            if (entry?.token === token) {
+                res.writeHead(200, { 'Content-Type': 'text/plain' });
+                res.end(token);
+                return true;
+            }
+        }
+
+        if (pathname.startsWith(ACME_CHALLENGE_PATH)) {
+            const keyAuthorization = await registry.getChallenge(pathname.slice(ACME_CHALLENGE_PATH.length))
+                .catch((err) => {
+                    console.error('[ACME] Challenge lookup failed:', err.message);
+                    return null;
+                });
+            if (keyAuthorization) {
+                res.writeHead(200, { 'Content-Type': 'text/plain' });
+                res.end(keyAuthorization);
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    // --- Ownership checks ---
+    async function checkDns(row) {
+        try {
+            const records = await dns.resolveTxt(`${DNS_RECORD_PREFIX}${row.domain}`);
+            return records.some(parts => parts.join('') === row.token);
+        } catch (err) {
+            return false;
+        }
+    }
+
+    function checkHttp(row) {
+        return new Promise((resolve) => {
+            const request = http.get({
+                host: row.domain,
+                port: verifyHttpPort,
+                path: `${VERIFY_PATH}${row.token}`,
+                timeout: 10000,
+            }, (response) => {
+                let body = '';
+                response.setEncoding('utf8');
+                response.on('data', (chunk) => { body += chunk; });
+                response.on('end', () => resolve(response.statusCode === 200 && body.trim() === row.token));
+            });
+            request.on('timeout', () => request.destroy());
+            request.on('error', () => resolve(false));
+        });
+    }
+
+    // --- Certificates ---
+    // Whether this node orders certificates, (re)taking the lock when free
+    async function isIssuer() {
+        let leading;
+        try {
+            leading = await registry.lead('acme', issuerLease);
+        } catch (err) {
+            console.error('[ACME] Could not reach the registry:', err.message);
+            leading = false;
+        }
+        if (leading !== issuer) {
+            console.log(leading ? '[ACME] This node now orders certificates' : '[ACME] Another node orders certificates now');
+            issuer = leading;
+        }
+        return leading;
+    }
+
+    async function getAcmeClient() {
+        if (acmeClient) {
+            return acmeClient;
+        }
+
+        let accountKey;
+        if (fs.existsSync(acmeAccountKeyPath)) {
+            accountKey = fs.readFileSync(acmeAccountKeyPath);
+        } else {
+            accountKey = await acme.crypto.createPrivateKey();
+            fs.writeFileSync(acmeAccountKeyPath, accountKey, { mode: 0o600 });
+        }
+
+        acmeClient = new acme.Client({ directoryUrl: acmeDirectoryUrl, accountKey });
+        return acmeClient;
+    }
+
+    async function issueCertificate(domain) {
+        if (issuing.has(domain)) {
+            return;
+        }
+        issuing.add(domain);
+        console.log(`[ACME] Requesting certificate for ${domain}`);
+
+        try {
+            const client = await getAcmeClient();
+            const [key, csr] = await acme.crypto.createCsr({ commonName: domain });
+            const cert = await client.auto({
+                csr,
+                email: acmeEmail || undefined,
+                termsOfServiceAgreed: true,
+                challengePriority: ['http-01'],
+                challengeCreateFn: async (authz, challenge, keyAuthorization) => {
+                    await registry.putChallenge(challenge.token, keyAuthorization, CHALLENGE_TTL);
+                },
+                challengeRemoveFn: async (authz, challenge) => {
+                    await registry.removeChallenge(challenge.token);
+                },
+            });
+            const { notAfter } = acme.crypto.readCertificateInfo(cert);
+
+            await storage.updateCustomDomain(domain, {
+                status: 'active',
+                certPem: cert,
+                keyPem: key.toString(),
+                certExpiresAt: notAfter,
+                lastError: null,
+            });
+            failedAt.delete(domain);
+            console.log(`[ACME] Certificate issued for ${domain}, valid until ${notAfter.toISOString()}`);
+        } catch (err) {
+            failedAt.set(domain, Date.now());
+            console.error(`[ACME] Certificate for ${domain} failed: ${err.message}`);
+            // A renewal failure keeps the current certificate in service
+            await storage.updateCustomDomain(domain, { lastError: err.message.slice(0, 1000) }).catch(() => {});
+        } finally {
+            issuing.delete(domain);
+            await load().catch(() => {});
+        }
+    }
+
+    // Reloads the table and orders certificates for verified domains that
+    // have none yet, or whose certificate expires soon. A verified domain whose
+    // order failed waits for "comzy domain verify"; a failed renewal is retried
+    // after RETRY_RENEWAL_AFTER, since the current certificate still serves.
+    async function refresh() {
+        try {
+            await load();
+        } catch (err) {
+            console.error('[DOMAINS] Failed to load custom domains:', err.message);
+            return;
+        }
+        if (!(await isIssuer())) {
+            return;
+        }
+
+        for (const entry of domains.values()) {
+            const due = entry.status === 'verified' && !entry.lastError
+                || entry.status === 'active' && new Date(entry.certExpiresAt) - Date.now() < RENEW_BEFORE
+                    && !(Date.now() - failedAt.get(entry.domain) < RETRY_RENEWAL_AFTER);
+            if (due) {
+                issueCertificate(entry.domain);
+            }
+        }
+    }
+
+    // --- Operations behind the client commands and the REST API ---
+    async function add(userId, domain, alias) {
+        domain = String(domain || '').trim().toLowerCase().replace(/\.$/, '');
+        if (!DOMAIN_PATTERN.test(domain)) {
+            throw domainError(400, `"${domain}" is not a valid domain name`);
+        }
+        if (domain === baseDomain || domain.endsWith(`.${baseDomain}`)) {
+            throw domainError(400, `Subdomains of ${baseDomain} cannot be added as custom domains`);
+        }
+
+        if (!(await storage.userOwnsAlias(userId, alias))) {
+            throw domainError(404, `Alias "${alias}" does not belong to your account (see "comzy reserve")`);
+        }
+
+        const token = randomBytes(16).toString('hex');
+        try {
+            await storage.createCustomDomain({ domain, userId, alias, token });
+        } catch (err) {
+            if (err.code === 'DUPLICATE') {
+                throw domainError(409, `Domain ${domain} has already been added`);
+            }
+            throw err;
+        }
+
+        console.log(`[DOMAINS] ${domain} -> ${alias} added for ${userId}`);
+        await load();
+        return describe(domains.get(domain));
+    }
+
+    async function verify(userId, domain, method) {
+        const row = await findOwned(userId, String(domain || '').toLowerCase());
+        if (row.status !== 'pending') {
+            if (row.status === 'verified' && row.lastError) {
+                // Retry an order that failed: the issuer picks the domain up again
+                await storage.updateCustomDomain(row.domain, { lastError: null });
+                if (await isIssuer()) {
+                    issueCertificate(row.domain);
+                }
+            }
+            return describe(row);
+        }
+
+        const verified = (method !== 'http' && await checkDns(row))
+            || (method !== 'dns' && await checkHttp(row));
+        if (!verified) {
+            throw domainError(422, method === 'http'
+                ? `http://${row.domain}${VERIFY_PATH}${row.token} did not return the token; point ${row.domain} at ${baseDomain} first`
+                : `Could not verify ${row.domain}: add a TXT record ${DNS_RECORD_PREFIX}${row.domain} with value ${row.token}, or point the domain at ${baseDomain}`);
+        }
+
+        await storage.updateCustomDomain(row.domain, { status: 'verified', verifiedAt: new Date() });
+        console.log(`[DOMAINS] ${row.domain} verified`);
+        await load();
+        if (await isIssuer()) {
+            issueCertificate(row.domain);
+        }
+        return describe(domains.get(row.domain));
+    }
+
+    async function list(userId) {
+        return (await storage.listCustomDomains({ userId })).map(describe);
+    }
+
+    async function remove(userId, domain) {
+        const row = await findOwned(userId, String(domain || '').toLowerCase());
+        await storage.deleteCustomDomain(row.domain);
+        console.log(`[DOMAINS] ${row.domain} removed`);
+        await load();
+    }
+
+    function start() {
+        refresh();
+        return setInterval(refresh, refreshInterval);
+    }
+
+    return { start, aliasFor, sniCallback, handleChallenge, add, verify, list, remove };
+}
+
+module.exports = { createDomainManager };
@@ -0,0 +1,140 @@
+const { Transform } = require('stream');
+
+// ===== Fault Injection =====
+// Makes a tunnel behave like a bad network, on purpose, for testing apps and
+// webhook senders against it. Four knobs, each optional:
+//
+//   latency     300ms±100   wait before forwarding (base ± uniform jitter)
+//   error_rate  5%:503      answer this share of requests with the status (default 503)
+//   bandwidth   256kbps     pace request and response bodies to this many bits/s
+//   drop_rate   2%          swallow this share of requests: never forwarded or answered
+//
+// Each request rolls its own dice, so a run is flaky the way real networks are.
+
+// --- Parsing ---
+const DURATION = /^(\d+(?:\.\d+)?)(ms|s)?$/;
+const BANDWIDTH_UNITS = { bps: 1, kbps: 1e3, mbps: 1e6, gbps: 1e9 };
+
+function parseDuration(text, defaultUnit = 'ms') {
+    const match = DURATION.exec(text.trim());
+    if (!match) {
+        return null;
+    }
+    return parseFloat(match[1]) * ((match[2] || defaultUnit) === 's' ? 1000 : 1);
+}
+
+// `300ms`, `300ms±100`, `1s+-200ms`; jitter without a unit takes the base's
+function parseLatency(text) {
+    const [base, jitter] = text.split(/±|\+-/);
+    const baseMs = parseDuration(base);
+    const unit = DURATION.exec(base.trim())?.[2] || 'ms';
+    const jitterMs = jitter === undefined ? 0 : parseDuration(jitter, unit);
+    return baseMs === null || jitterMs === null ? null : { base: baseMs, jitter: jitterMs };
+}
+
+// `5%` or `5`, as a probability
+function parsePercent(text) {
+    const match = /^(\d+(?:\.\d+)?)%?$/.exec(text.trim());
+    const percent = match && parseFloat(match[1]);
+    return match && percent <= 100 ? percent / 100 : null;
+}
+
+function parseErrorRate(text) {
+    const [rate, status] = text.split(':');
+    const probability = parsePercent(rate);
+    const code = status === undefined ? 503 : Number(status);
+    return probability === null || !Number.isInteger(code) || code < 400 || code > 599
+        ? null
+        : { probability, status: code };
+}
+
+function parseBandwidth(text) {
+    const match = /^(\d+(?:\.\d+)?)\s*([kmg]?bps)$/i.exec(text.trim());
+    const bitsPerSecond = match && parseFloat(match[1]) * BANDWIDTH_UNITS[match[2].toLowerCase()];
+    return bitsPerSecond || null;
+}
+
+// Options as written in the config or rules file (snake_case). Returns null
+// when none is set; throws naming `where` on a malformed value.
+function compileFaults(options, where) {
+    const fields = [
+        ['latency', parseLatency, 'e.g. 300ms±100'],
+        ['error_rate', parseErrorRate, 'e.g. 5%:503'],
+        ['bandwidth', parseBandwidth, 'e.g. 256kbps'],
+        ['drop_rate', parsePercent, 'e.g. 2%'],
+    ];
+
+    const faults = {};
+    for (const [name, parse, example] of fields) {
+        if (options[name] === undefined || options[name] === null) continue;
+        const value = parse(String(options[name]));
+        if (value === null) {
+            throw new Error(`${where}: invalid ${name.replace('_', ' ')} "${options[name]}" (${example})`);
+        }
+        faults[name.replace(/_([a-z])/, (_, c) => c.toUpperCase())] = value;
+    }
+    return Object.keys(faults).length ? faults : null;
+}
+
+// --- Per request ---
+// Later fault sets override earlier ones knob by knob
+function mergeFaults(...sets) {
+    const merged = Object.assign({}, ...sets.filter(Boolean));
+    return Object.keys(merged).length ? merged : null;
+}
+
+// Decides what happens to one request: { delay, drop, status, bandwidth }
+function rollFaults(faults) {
+    const { latency, errorRate, dropRate, bandwidth } = faults;
+    const delay = latency ? Math.max(0, Math.round(latency.base + (Math.random() * 2 - 1) * latency.jitter)) : 0;
+    const drop = Boolean(dropRate) && Math.random() < dropRate;
+    const status = !drop && errorRate && Math.random() < errorRate.probability ? errorRate.status : null;
+    return { delay, drop, status, bandwidth: bandwidth || null };
+}
+
+function formatBandwidth(bitsPerSecond) {
+    const [unit, size] = Object.entries(BANDWIDTH_UNITS).reverse().find(([, size]) => bitsPerSecond >= size) || ['bps', 1];
+    return `${+(bitsPerSecond / size).toFixed(1)}${unit}`;
+}
+
+// Marks for the request log line, e.g. "[+312ms] [503 injected]"
+function describeFaults({ delay, drop, status, bandwidth }) {
+    const marks = [];
+    if (delay) marks.push(`+${delay}ms`);
+    if (drop) marks.push('dropped');
+    if (status) marks.push(`${status} injected`);
+    if (bandwidth && !drop && !status) marks.push(formatBandwidth(bandwidth));
+    return marks.map(mark => `[${mark}]`).join(' ');
+}
+
+// --- Bandwidth ---
+// Passes data through at `bitsPerSecond`, in slices of about 50ms so it
+// trickles in like on a slow link instead of arriving in delayed bursts.
+function createThrottle(bitsPerSecond) {
+    const bytesPerSecond = bitsPerSecond / 8;
+    const slice = Math.max(1, Math.floor(bytesPerSecond / 20));
+    let freeAt = Date.now(); // When the simulated link has sent everything so far
+
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            // Each piece is let through once the link would have carried it
+            const send = (offset) => {
+                if (this.destroyed) return;
+                if (offset >= chunk.length) {
+                    callback();
+                    return;
+                }
+                const piece = chunk.subarray(offset, offset + slice);
+                freeAt = Math.max(freeAt, Date.now()) + piece.length / bytesPerSecond * 1000;
+                setTimeout(() => {
+                    if (this.destroyed) return;
+                    this.push(piece);
+                    send(offset + slice);
+                }, freeAt - Date.now());
+            };
+            send(0);
+        },
+    });
+}
+
+module.exports = { compileFaults, mergeFaults, rollFaults, describeFaults, createThrottle };
@@ -0,0 +1,237 @@
+const fs = require('fs');
+const path = require('path');
+const mime = require('mime-types');
+
+// ===== Static File Server =====
+// Answers tunneled requests from a directory for `comzy serve`, with no local
+// HTTP server in between: the client passes each request head in and writes
+// the response it gets back to the tunnel stream. Files come with their MIME
+// type, an ETag and Last-Modified for revalidation, and single byte ranges.
+// Dotfiles are never served or listed.
+
+// --- Helpers ---
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+function formatSize(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let unit = 0;
+    while (bytes >= 1024 && unit < units.length - 1) {
+        bytes /= 1024;
+        unit++;
+    }
+    return `${unit ? bytes.toFixed(1) : bytes} ${units[unit]}`;
+}
+
+function textResponse(status, text, headers = {}) {
+    const body = Buffer.from(`${text}\n`);
+    return {
+        status,
+        headers: { 'Content-Type': 'text/plain; charset=utf-8', 'Content-Length': String(body.length), ...headers },
+        body,
+    };
+}
+
+// Weak, like most static servers: derived from size and modification time
+function fileEtag(stat) {
+    return `W/"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+}
+
+function etagMatches(header, etag) {
+    return header.split(',').some(tag => tag.trim() === '*' || tag.trim() === etag);
+}
+
+// `bytes=start-end`, `bytes=start-` or `bytes=-suffix`. Returns { start, end },
+// 'unsatisfiable', or null to ignore the header (malformed or several ranges).
+function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+    if (!match || (match[1] === '' && match[2] === '')) {
+        return null;
+    }
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        start = Math.max(0, size - parseInt(match[2]));
+        end = size - 1;
+    } else {
+        start = parseInt(match[1]);
+        end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2]), size - 1);
+    }
+    return start > end || start >= size ? 'unsatisfiable' : { start, end };
+}
+
+function renderListing(urlPath, entries) {
+    const rows = entries.map(({ name, isDirectory, size, mtime }) => {
+        const href = encodeURIComponent(name) + (isDirectory ? '/' : '');
+        return `<tr><td><a href="${href}">${escapeHtml(name)}${isDirectory ? '/' : ''}</a></td>`
+            + `<td>${isDirectory ? '' : formatSize(size)}</td><td>${mtime.toISOString().slice(0, 16).replace('T', ' ')}</td></tr>`;
+    });
+    if (urlPath !== '/') {
+        rows.unshift('<tr><td><a href="../">../</a></td><td></td><td></td></tr>');
+    }
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Index of ${escapeHtml(urlPath)}</title>
+<style>
+  body { font: 14px -apple-system, system-ui, sans-serif; margin: 2em; }
+  td { padding: 2px 16px 2px 0; }
+  td:nth-child(2) { text-align: right; }
+</style>
+</head>
+<body>
+<h1>Index of ${escapeHtml(urlPath)}</h1>
+<table>
+${rows.join('\n')}
+</table>
+</body>
+</html>
+`;
+}
+
+// `handle({ method, path, headers })`, with lowercase header names, resolves
+// with { status, headers, body }: body is a Buffer, a file stream or null.
+// With `spa`, paths that match no file get the root index.html, so
+// client-side routers see their own URLs.
+function createFileServer({ root, spa = false, listing = true }) {
+    root = path.resolve(root);
+    const rootPrefix = root.endsWith(path.sep) ? root : root + path.sep;
+
+    async function statOrNull(file) {
+        try {
+            return await fs.promises.stat(file);
+        } catch (err) {
+            if (err.code === 'ENOENT' || err.code === 'ENOTDIR') {
+                return null;
+            }
+            throw err;
+        }
+    }
+
+    function serveFile(file, stat, { method, headers }) {
+        const etag = fileEtag(stat);
+        const fileHeaders = {
+            'Content-Type': mime.contentType(path.extname(file)) || 'application/octet-stream',
+            'ETag': etag,
+            'Last-Modified': stat.mtime.toUTCString(),
+            'Accept-Ranges': 'bytes',
+            'Cache-Control': 'no-cache', // Revalidate: files change while being shared
+        };
+
+        // If-Modified-Since only counts when there is no If-None-Match
+        const notModified = headers['if-none-match']
+            ? etagMatches(headers['if-none-match'], etag)
+            : headers['if-modified-since'] && Math.floor(stat.mtimeMs / 1000) <= Date.parse(headers['if-modified-since']) / 1000;
+        if (notModified) {
+            return { status: 304, headers: fileHeaders, body: null };
+        }
+
+        // A stale If-Range asks for the whole file instead of a piece
+        const ifRange = headers['if-range'];
+        const rangeValid = !ifRange || (ifRange.startsWith('"') || ifRange.startsWith('W/')
+            ? ifRange === etag
+            : Math.floor(stat.mtimeMs / 1000) <= Date.parse(ifRange) / 1000);
+        const range = headers.range && rangeValid ? parseRange(headers.range, stat.size) : null;
+
+        if (range === 'unsatisfiable') {
+            return textResponse(416, 'Range not satisfiable', { 'Content-Range': `bytes */${stat.size}` });
+        }
+
+        const { start, end } = range || { start: 0, end: stat.size - 1 };
+        const length = end - start + 1;
+        return {
+            status: range ? 206 : 200,
+            headers: {
+                ...fileHeaders,
+                'Content-Length': String(Math.max(length, 0)),
+                ...(range && { 'Content-Range': `bytes ${start}-${end}/${stat.size}` }),
+            },
+            body: method === 'HEAD' || length <= 0 ? null : fs.createReadStream(file, { start, end }),
+        };
+    }
+
+    async function serveListing(directory, urlPath, { method }) {
+        const names = (await fs.promises.readdir(directory)).filter(name => !name.startsWith('.'));
+        const entries = [];
+        for (const name of names) {
+            const stat = await statOrNull(path.join(directory, name));
+            if (stat) {
+                entries.push({ name, isDirectory: stat.isDirectory(), size: stat.size, mtime: stat.mtime });
+            }
+        }
+        entries.sort((a, b) => (b.isDirectory - a.isDirectory) || a.name.localeCompare(b.name));
+
+        const body = Buffer.from(renderListing(urlPath, entries));
+        return {
+            status: 200,
+            headers: { 'Content-Type': 'text/html; charset=utf-8', 'Content-Length': String(body.length) },
+            body: method === 'HEAD' ? null : body,
+        };
+    }
+
+    async function notFound(urlPath, request) {
+        // Only page navigations fall back; a missing script or image stays a 404
+        const navigation = !path.extname(urlPath) || (request.headers.accept || '').includes('text/html');
+        if (spa && navigation) {
+            const index = path.join(root, 'index.html');
+            const stat = await statOrNull(index);
+            if (stat?.isFile()) {
+                return serveFile(index, stat, request);
+            }
+        }
+        return textResponse(404, 'Not found');
+    }
+
+    async function handle(request) {
+        if (request.method !== 'GET' && request.method !== 'HEAD') {
+            return textResponse(405, 'Method not allowed', { 'Allow': 'GET, HEAD' });
+        }
+
+        const url = new URL(request.path, 'http://localhost');
+        let urlPath;
+        try {
+            urlPath = decodeURIComponent(url.pathname);
+        } catch {
+            return textResponse(400, 'Bad request');
+        }
+
+        // Windows also splits paths on \ and reads C: as a drive, so a
+        // decoded %5C or %3A must not reach the file path
+        const segments = urlPath.split('/').filter(Boolean);
+        if (urlPath.includes('\0') || segments.some(segment => segment.startsWith('.') || /[\\:]/.test(segment))) {
+            return textResponse(404, 'Not found');
+        }
+
+        const file = path.resolve(root, ...segments);
+        if (file !== root && !file.startsWith(rootPrefix)) {
+            return textResponse(404, 'Not found');
+        }
+        const stat = await statOrNull(file);
+        if (!stat) {
+            return notFound(urlPath, request);
+        }
+
+        if (stat.isDirectory()) {
+            // Relative links in the page resolve against the directory
+            if (!urlPath.endsWith('/')) {
+                return textResponse(301, 'Moved permanently', { 'Location': `${url.pathname}/${url.search}` });
+            }
+            const index = path.join(file, 'index.html');
+            const indexStat = await statOrNull(index);
+            if (indexStat?.isFile()) {
+                return serveFile(index, indexStat, request);
+            }
+            return listing ? serveListing(file, urlPath, request) : notFound(urlPath, request);
+        }
+
+        return stat.isFile() ? serveFile(file, stat, request) : textResponse(404, 'Not found');
+    }
+
+    return { root, handle };
+}
+
+module.exports = { createFileServer };
@@ -0,0 +1,448 @@
+const http = require('http');
+const https = require('https');
+
+// ===== Local Traffic Inspector =====
+// Records every request the client proxies (heads, bodies and timing) and
+// serves them on a local web UI and JSON API, from which any captured request
+// can be replayed against the local target it was proxied to, optionally
+// after editing it. One inspector serves every HTTP tunnel of the process.
+
+const MAX_ENTRIES = 200; // Oldest captures are dropped beyond this
+const BODY_LIMIT = 1024 * 1024; // Bytes kept per body; the rest is only counted
+
+// --- Body capture ---
+function createBodyCapture(limit) {
+    const chunks = [];
+    let kept = 0;
+    let size = 0;
+
+    return {
+        append(chunk) {
+            size += chunk.length;
+            if (kept < limit) {
+                const piece = chunk.subarray(0, limit - kept);
+                chunks.push(piece);
+                kept += piece.length;
+            }
+        },
+        buffer() {
+            return Buffer.concat(chunks);
+        },
+        get size() {
+            return size;
+        },
+        get truncated() {
+            return size > kept;
+        },
+        toJSON() {
+            const data = Buffer.concat(chunks);
+            const isText = Buffer.from(data.toString('utf8')).equals(data);
+            return {
+                size,
+                truncated: size > kept,
+                encoding: isText ? 'utf8' : 'base64',
+                data: data.toString(isText ? 'utf8' : 'base64'),
+            };
+        },
+    };
+}
+
+// --- Header helpers (flat rawHeaders lists) ---
+function withoutHeaders(rawHeaders, names) {
+    const result = [];
+    for (let i = 0; i < rawHeaders.length; i += 2) {
+        if (!names.includes(rawHeaders[i].toLowerCase())) {
+            result.push(rawHeaders[i], rawHeaders[i + 1]);
+        }
+    }
+    return result;
+}
+
+function summarize(entry) {
+    return {
+        id: entry.id,
+        tunnel: entry.tunnel,
+        replayOf: entry.replayOf,
+        method: entry.method,
+        path: entry.path,
+        status: entry.status,
+        error: entry.error,
+        startedAt: new Date(entry.startedAt).toISOString(),
+        duration: entry.duration,
+        requestSize: entry.requestBody.size,
+        responseSize: entry.responseBody.size,
+    };
+}
+
+function serialize(entry) {
+    return {
+        ...summarize(entry),
+        statusMessage: entry.statusMessage,
+        request: { headers: entry.requestHeaders, body: entry.requestBody.toJSON() },
+        response: { headers: entry.responseHeaders, body: entry.responseBody.toJSON() },
+    };
+}
+
+function sendJson(res, status, data) {
+    const body = JSON.stringify(data);
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) });
+    res.end(body);
+}
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', (chunk) => chunks.push(chunk));
+        req.on('end', () => {
+            try {
+                const text = Buffer.concat(chunks).toString('utf8');
+                resolve(text ? JSON.parse(text) : {});
+            } catch (err) {
+                reject(err);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// `resolveTarget(tunnelName)` returns the { scheme, host, port, insecure } a
+// tunnel forwards to
+function createInspector({ resolveTarget, maxEntries = MAX_ENTRIES, bodyLimit = BODY_LIMIT }) {
+    const entries = new Map(); // Map<id, entry>, insertion ordered
+    const subscribers = new Set(); // Open /api/events responses
+    let nextId = 1;
+
+    function publish(entry) {
+        const message = `data: ${JSON.stringify(summarize(entry))}\n\n`;
+        for (const res of subscribers) {
+            res.write(message);
+        }
+    }
+
+    // Starts recording one exchange; the proxy feeds it as traffic flows
+    function capture({ tunnel, method, path, rawHeaders }, { replayOf } = {}) {
+        const entry = {
+            id: String(nextId++),
+            tunnel,
+            replayOf,
+            method,
+            path,
+            requestHeaders: rawHeaders,
+            requestBody: createBodyCapture(bodyLimit),
+            status: null,
+            statusMessage: null,
+            responseHeaders: [],
+            responseBody: createBodyCapture(bodyLimit),
+            error: null,
+            startedAt: Date.now(),
+            duration: null,
+        };
+
+        entries.set(entry.id, entry);
+        if (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+        publish(entry);
+
+        return {
+            entry,
+            requestData(chunk) {
+                entry.requestBody.append(chunk);
+            },
+            response({ status, statusMessage, rawHeaders: responseHeaders }) {
+                entry.status = status;
+                entry.statusMessage = statusMessage;
+                entry.responseHeaders = responseHeaders;
+            },
+            responseData(chunk) {
+                entry.responseBody.append(chunk);
+            },
+            finish(err) {
+                if (entry.duration !== null) return;
+                entry.duration = Date.now() - entry.startedAt;
+                entry.error = err ? err.message : null;
+                publish(entry);
+            },
+        };
+    }
+
+    // Sends a captured request to the local port again. `overrides` may
+    // replace the method, path, headers (flat list) and body.
+    function replay(original, overrides = {}) {
+        const target = resolveTarget(original.tunnel);
+        if (!target) {
+            throw new Error(`Tunnel "${original.tunnel}" is not running`);
+        }
+
+        const method = overrides.method || original.method;
+        const path = overrides.path || original.path;
+        const body = overrides.body !== undefined
+            ? Buffer.from(overrides.body, overrides.bodyEncoding || 'utf8')
+            : original.requestBody.buffer();
+        const rawHeaders = [
+            ...withoutHeaders(overrides.headers || original.requestHeaders, ['content-length', 'transfer-encoding']),
+            'Content-Length', String(body.length),
+        ];
+
+        return new Promise((resolve) => {
+            const recorder = capture({ tunnel: original.tunnel, method, path, rawHeaders }, { replayOf: original.id });
+            recorder.requestData(body);
+
+            const request = (target.scheme === 'https' ? https : http).request({
+                host: target.host,
+                port: target.port,
+                rejectUnauthorized: !target.insecure,
+                method,
+                path,
+                headers: rawHeaders,
+                timeout: 30000,
+            });
+
+            request.on('response', (response) => {
+                recorder.response({
+                    status: response.statusCode,
+                    statusMessage: response.statusMessage,
+                    rawHeaders: response.rawHeaders,
+                });
+                response.on('data', recorder.responseData);
+                response.on('end', () => {
+                    recorder.finish();
+                    resolve(recorder.entry);
+                });
+            });
+
+            request.on('timeout', () => request.destroy(new Error('Local server timed out')));
+            request.on('error', (err) => {
+                recorder.finish(err);
+                resolve(recorder.entry);
+            });
+
+            request.end(body);
+        });
+    }
+
+    // --- HTTP API and UI ---
+    async function handle(req, res) {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const match = pathname.match(/^\/api\/requests\/([^/]+)(\/replay)?$/);
+
+        // Captures can hold credentials: refuse DNS-rebound hosts, and only
+        // accept JSON writes so other sites cannot post forms at the API
+        if (!/^(localhost|127\.0\.0\.1)(:\d+)?$/.test(req.headers.host || '')) {
+            return sendJson(res, 403, { error: 'Forbidden host' });
+        }
+        if (req.method === 'POST' && !String(req.headers['content-type']).startsWith('application/json')) {
+            return sendJson(res, 415, { error: 'Expected application/json' });
+        }
+
+        try {
+            if (req.method === 'GET' && pathname === '/') {
+                res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+                return res.end(INSPECTOR_PAGE);
+            }
+
+            if (req.method === 'GET' && pathname === '/api/requests') {
+                return sendJson(res, 200, { requests: [...entries.values()].reverse().map(summarize) });
+            }
+
+            if (req.method === 'DELETE' && pathname === '/api/requests') {
+                entries.clear();
+                return sendJson(res, 200, { cleared: true });
+            }
+
+            if (req.method === 'GET' && pathname === '/api/events') {
+                res.writeHead(200, {
+                    'Content-Type': 'text/event-stream',
+                    'Cache-Control': 'no-cache',
+                    'Connection': 'keep-alive',
+                });
+                res.write(': connected\n\n');
+                subscribers.add(res);
+                req.on('close', () => subscribers.delete(res));
+                return;
+            }
+
+            const entry = match && entries.get(match[1]);
+
+            if (match && !entry) {
+                return sendJson(res, 404, { error: 'Request not found' });
+            }
+
+            if (req.method === 'GET' && match && !match[2]) {
+                return sendJson(res, 200, serialize(entry));
+            }
+
+            if (req.method === 'POST' && match && match[2]) {
+                const overrides = await readJson(req);
+                if (overrides.body === undefined && entry.requestBody.truncated) {
+                    return sendJson(res, 409, { error: 'Captured body was truncated; send a body to replay it' });
+                }
+                const replayed = await replay(entry, overrides);
+                return sendJson(res, 200, serialize(replayed));
+            }
+
+            sendJson(res, 404, { error: 'Not found' });
+        } catch (err) {
+            sendJson(res, 400, { error: err.message });
+        }
+    }
+
+    const server = http.createServer(handle);
+
+    // Binds to loopback only, moving up from `port` when it is taken so
+    // several clients can run side by side
+    function listen(port, attempts = 10) {
+        return new Promise((resolve, reject) => {
+            const tryPort = (candidate, left) => {
+                const onError = (err) => {
+                    if (err.code === 'EADDRINUSE' && left > 1) {
+                        tryPort(candidate + 1, left - 1);
+                    } else {
+                        reject(err);
+                    }
+                };
+                server.once('error', onError);
+                server.listen(candidate, '127.0.0.1', () => {
+                    server.off('error', onError);
+                    resolve(candidate);
+                });
+            };
+            tryPort(port, attempts);
+        });
+    }
+
+    function close() {
+        for (const res of subscribers) {
+            res.end();
+        }
+        server.close();
+    }
+
+    return { capture, replay, listen, close };
+}
+
+// --- Web UI ---
+const INSPECTOR_PAGE = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Comzy Inspector</title>
+<style>
+  body { margin: 0; font: 13px/1.4 -apple-system, system-ui, sans-serif; color: #222; display: flex; height: 100vh; }
+  #list { width: 42%; overflow-y: auto; border-right: 1px solid #ddd; }
+  #detail { flex: 1; overflow-y: auto; padding: 12px 16px; }
+  header { padding: 10px 12px; border-bottom: 1px solid #ddd; display: flex; justify-content: space-between; align-items: center; }
+  .row { padding: 6px 12px; border-bottom: 1px solid #f0f0f0; cursor: pointer; display: flex; gap: 8px; }
+  .row:hover, .row.active { background: #eef5ff; }
+  .status { width: 36px; font-weight: 600; }
+  .s2 { color: #1a7f37; } .s3 { color: #0969da; } .s4 { color: #9a6700; } .s5, .err { color: #cf222e; }
+  .path { flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; font-family: monospace; }
+  .meta { color: #888; }
+  pre, textarea { font: 12px/1.4 monospace; background: #f6f8fa; padding: 8px; white-space: pre-wrap; word-break: break-all; }
+  textarea { width: 100%; box-sizing: border-box; border: 1px solid #ddd; }
+  input { font: 12px monospace; padding: 4px; }
+  h3 { margin: 16px 0 6px; }
+  button { cursor: pointer; }
+</style>
+</head>
+<body>
+<div id="list"><header><strong>Comzy Inspector</strong><button id="clear">Clear</button></header><div id="rows"></div></div>
+<div id="detail"><p class="meta">Select a request to see its details.</p></div>
+<script>
+const rows = document.getElementById('rows');
+const detail = document.getElementById('detail');
+const requests = new Map();
+let selected = null;
+
+function el(tag, attrs, ...children) {
+  const node = document.createElement(tag);
+  Object.assign(node, attrs);
+  node.append(...children);
+  return node;
+}
+
+function headerText(raw) {
+  const lines = [];
+  for (let i = 0; i < raw.length; i += 2) lines.push(raw[i] + ': ' + raw[i + 1]);
+  return lines.join('\\n');
+}
+
+function bodyText(body) {
+  if (!body.size) return '(empty)';
+  const note = body.truncated ? '\\n\\n[truncated, ' + body.size + ' bytes total]' : '';
+  return (body.encoding === 'base64' ? '[base64] ' : '') + body.data + note;
+}
+
+function renderList() {
+  rows.replaceChildren(...[...requests.values()].sort((a, b) => b.id - a.id).map((r) => {
+    const status = r.error ? 'ERR' : r.status || '...';
+    const cls = r.error ? 'err' : 's' + String(r.status || '')[0];
+    const row = el('div', { className: 'row' + (r.id === selected ? ' active' : ''), onclick: () => show(r.id) },
+      el('span', { className: 'status ' + cls }, String(status)),
+      el('span', { className: 'path' }, (r.tunnel ? '[' + r.tunnel + '] ' : '') + r.method + ' ' + r.path +
+        (r.replayOf ? '  (replay of #' + r.replayOf + ')' : '')),
+      el('span', { className: 'meta' }, r.duration === null ? '' : r.duration + ' ms'));
+    return row;
+  }));
+}
+
+async function show(id) {
+  selected = id;
+  renderList();
+  const r = await (await fetch('/api/requests/' + id)).json();
+  const method = el('input', { value: r.method, size: 8 });
+  const path = el('input', { value: r.path, size: 60 });
+  const headers = el('textarea', { rows: 8, value: headerText(r.request.headers) });
+  const body = el('textarea', { rows: 8, value: r.request.body.encoding === 'utf8' ? r.request.body.data : '' });
+  const replay = el('button', { onclick: async () => {
+    const raw = [];
+    for (const line of headers.value.split('\\n')) {
+      const at = line.indexOf(':');
+      if (at > 0) raw.push(line.slice(0, at).trim(), line.slice(at + 1).trim());
+    }
+    const overrides = { method: method.value, path: path.value, headers: raw };
+    if (r.request.body.encoding === 'utf8') overrides.body = body.value;
+    const res = await fetch('/api/requests/' + id + '/replay', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(overrides),
+    });
+    const replayed = await res.json();
+    if (replayed.id) show(replayed.id); else alert(replayed.error);
+  } }, 'Replay');
+
+  detail.replaceChildren(
+    el('h2', {}, (r.tunnel ? '[' + r.tunnel + '] ' : '') + r.method + ' ' + r.path),
+    el('p', { className: 'meta' }, (r.error ? 'Error: ' + r.error : r.status + ' ' + (r.statusMessage || '')) +
+      ' \\u00b7 ' + r.startedAt + (r.duration === null ? '' : ' \\u00b7 ' + r.duration + ' ms')),
+    el('h3', {}, 'Request headers'), el('pre', {}, headerText(r.request.headers)),
+    el('h3', {}, 'Request body'), el('pre', {}, bodyText(r.request.body)),
+    el('h3', {}, 'Response headers'), el('pre', {}, headerText(r.response.headers)),
+    el('h3', {}, 'Response body'), el('pre', {}, bodyText(r.response.body)),
+    el('h3', {}, 'Replay'), el('div', {}, method, ' ', path), el('h3', {}, 'Headers'), headers,
+    el('h3', {}, 'Body'), body, el('p', {}, replay));
+}
+
+document.getElementById('clear').onclick = async () => {
+  await fetch('/api/requests', { method: 'DELETE' });
+  requests.clear();
+  selected = null;
+  renderList();
+};
+
+fetch('/api/requests').then((res) => res.json()).then(({ requests: list }) => {
+  list.forEach((r) => requests.set(r.id, r));
+  renderList();
+});
+
+new EventSource('/api/events').onmessage = (event) => {
+  const r = JSON.parse(event.data);
+  requests.set(r.id, r);
+  renderList();
+};
+</script>
+</body>
+</html>
+`;
+
+module.exports = { createInspector };
@@ -0,0 +1,94 @@
+// ===== Limits =====
+// Building blocks for the server's rate limits. Both keep one entry per key
+// (alias, user, IP...) and forget entries that have nothing left to track.
+
+const SWEEP_INTERVAL = 60 * 1000;
+
+// Token bucket refilled at `rate` tokens per second up to `burst`. A rate of
+// 0 disables the limit: every call succeeds.
+function createTokenBucket({ rate, burst = rate }) {
+    const buckets = new Map(); // Map<key, { tokens, updatedAt }>
+
+    function bucket(key) {
+        const now = Date.now();
+        let entry = buckets.get(key);
+        if (!entry) {
+            entry = { tokens: burst, updatedAt: now };
+            buckets.set(key, entry);
+        }
+        entry.tokens = Math.min(burst, entry.tokens + (now - entry.updatedAt) / 1000 * rate);
+        entry.updatedAt = now;
+        return entry;
+    }
+
+    function secondsUntil(entry, tokens) {
+        return Math.max(1, Math.ceil((tokens - entry.tokens) / rate));
+    }
+
+    // Takes `cost` tokens; returns 0, or the seconds to wait when too few are left
+    function take(key, cost = 1) {
+        if (!rate) {
+            return 0;
+        }
+        const entry = bucket(key);
+        if (entry.tokens < cost) {
+            return secondsUntil(entry, cost);
+        }
+        entry.tokens -= cost;
+        return 0;
+    }
+
+    // Charges usage measured after the fact; the bucket may go into debt
+    function spend(key, amount) {
+        if (rate && amount > 0) {
+            bucket(key).tokens -= amount;
+        }
+    }
+
+    // Seconds until a bucket in debt is positive again, 0 when it is
+    function wait(key) {
+        if (!rate) {
+            return 0;
+        }
+        const entry = bucket(key);
+        return entry.tokens > 0 ? 0 : secondsUntil(entry, 1);
+    }
+
+    // Full buckets hold no information
+    setInterval(() => {
+        for (const [key, entry] of buckets) {
+            if (entry.tokens + (Date.now() - entry.updatedAt) / 1000 * rate >= burst) {
+                buckets.delete(key);
+            }
+        }
+    }, SWEEP_INTERVAL).unref();
+
+    return { take, spend, wait };
+}
+
+// At most `max` holders per key at once; 0 disables the limit
+function createConcurrencyLimit(max) {
+    const active = new Map(); // Map<key, count>
+
+    function acquire(key) {
+        const count = active.get(key) || 0;
+        if (max && count >= max) {
+            return false;
+        }
+        active.set(key, count + 1);
+        return true;
+    }
+
+    function release(key) {
+        const count = (active.get(key) || 0) - 1;
+        if (count > 0) {
+            active.set(key, count);
+        } else {
+            active.delete(key);
+        }
+    }
+
+    return { acquire, release };
+}
+
+module.exports = { createTokenBucket, createConcurrencyLimit };
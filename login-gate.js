@@ -0,0 +1,576 @@
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const { createHmac, createPublicKey, randomBytes, createHash, timingSafeEqual, verify, constants } = require('crypto');
+
+// ===== Login Gate (OpenID Connect) =====
+// A tunnel registered with `oidc: { issuer, clientId, clientSecret,
+// allowEmailDomains, allowEmails }` only lets in visitors who signed in with
+// that identity provider. Everything happens here, on the server:
+//
+//   1. A visitor without a session is redirected to the provider's
+//      authorization endpoint (authorization-code flow with PKCE). Requests
+//      that are not page loads get 401 instead.
+//   2. The provider sends them back to /.comzy/login/callback on the tunnel's
+//      own host; the code is exchanged for an ID token, whose signature,
+//      issuer, audience, expiry and nonce are checked.
+//   3. An allowed email gets a signed session cookie for that host, and
+//      requests that carry it reach the local app with X-Comzy-User-Email,
+//      -Name and -Sub headers.
+//
+// Sessions and login state live in HMAC-signed cookies, not in memory, so
+// any node holding the same secret can check them. /.comzy/logout ends one.
+
+const CALLBACK_PATH = '/.comzy/login/callback';
+const LOGOUT_PATH = '/.comzy/logout';
+const SESSION_COOKIE = 'comzy_session';
+const STATE_COOKIE = 'comzy_login';
+const LOGIN_TIMEOUT = 10 * 60 * 1000; // A login must come back within 10 minutes
+const DISCOVERY_TTL = 60 * 60 * 1000;
+const JWKS_REFRESH_INTERVAL = 60 * 1000; // Unknown key ids refetch the keys at most this often
+const CLOCK_SKEW = 60; // Seconds of leeway on token expiry
+const FETCH_TIMEOUT = 10000;
+const MAX_FETCH_SIZE = 1024 * 1024; // Provider documents and key sets are a few KB
+
+// Identity headers are ours: whatever a visitor sends under these names is dropped
+const IDENTITY_HEADERS = ['x-comzy-user-email', 'x-comzy-user-name', 'x-comzy-user-sub'];
+
+// JWS algorithms accepted for ID tokens: [digest, key type, extra verify options]
+const SIGNING_ALGORITHMS = {
+    RS256: ['sha256', 'RSA'],
+    RS384: ['sha384', 'RSA'],
+    RS512: ['sha512', 'RSA'],
+    PS256: ['sha256', 'RSA', { padding: constants.RSA_PKCS1_PSS_PADDING, saltLength: constants.RSA_PSS_SALTLEN_DIGEST }],
+    PS384: ['sha384', 'RSA', { padding: constants.RSA_PKCS1_PSS_PADDING, saltLength: constants.RSA_PSS_SALTLEN_DIGEST }],
+    ES256: ['sha256', 'EC', { dsaEncoding: 'ieee-p1363' }],
+    ES384: ['sha384', 'EC', { dsaEncoding: 'ieee-p1363' }],
+};
+
+// Addresses a client-chosen issuer may not make the server connect to
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) {
+    PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+// IPv6 ranges that tunnel to an IPv4 address (IPv4-compatible, NAT64, 6to4,
+// Teredo) are refused whole: real providers are not reached through them.
+for (const [network, prefix] of [
+    ['::', 96], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['2001::', 32], ['2002::', 16],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) {
+    PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+// The IPv4 address inside an IPv4-mapped IPv6 address (::ffff:0:0/96), or null
+function mappedIPv4(address) {
+    let groups = address.toLowerCase().split(':');
+    const dotted = net.isIPv4(groups[groups.length - 1]) && groups.pop().split('.').map(Number);
+    if (dotted) {
+        groups.push(((dotted[0] << 8) | dotted[1]).toString(16), ((dotted[2] << 8) | dotted[3]).toString(16));
+    }
+    const gap = groups.indexOf('');
+    if (gap !== -1) {
+        const filled = groups.filter(group => group !== '');
+        groups = [...filled.slice(0, gap), ...Array(8 - filled.length).fill('0'), ...filled.slice(gap)];
+    }
+    const words = groups.map(group => parseInt(group, 16));
+    if (words.length !== 8 || words.slice(0, 5).some(Boolean) || words[5] !== 0xffff) {
+        return null;
+    }
+    return [words[6] >> 8, words[6] & 0xff, words[7] >> 8, words[7] & 0xff].join('.');
+}
+
+function isPrivateAddress(address) {
+    if (net.isIPv4(address)) {
+        return PRIVATE_ADDRESSES.check(address, 'ipv4');
+    }
+    const ipv4 = mappedIPv4(address);
+    return ipv4 ? PRIVATE_ADDRESSES.check(ipv4, 'ipv4') : PRIVATE_ADDRESSES.check(address, 'ipv6');
+}
+
+// dns.lookup that fails for private addresses. Checking the addresses the
+// connection actually uses means DNS cannot swap them after a check.
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) {
+            return callback(err);
+        }
+        if (addresses.some(({ address }) => isPrivateAddress(address))) {
+            return callback(new Error(`${hostname} resolves to a private address`));
+        }
+        if (options.all) {
+            return callback(null, addresses);
+        }
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+function loginError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+// --- Helpers ---
+function base64url(buffer) {
+    return Buffer.from(buffer).toString('base64url');
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    for (const pair of (header || '').split(';')) {
+        const separator = pair.indexOf('=');
+        if (separator > 0) {
+            cookies[pair.slice(0, separator).trim()] = pair.slice(separator + 1).trim();
+        }
+    }
+    return cookies;
+}
+
+function cookieHeader(name, value, { maxAge, secure }) {
+    return `${name}=${value}; Path=/; Max-Age=${Math.floor(maxAge / 1000)}; HttpOnly; SameSite=Lax${secure ? '; Secure' : ''}`;
+}
+
+// Only same-site paths, so the login cannot be turned into an open redirect
+function safeReturnPath(value) {
+    return typeof value === 'string' && value.startsWith('/') && !value.startsWith('//') && !value.startsWith('/\\')
+        ? value
+        : '/';
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+function sendPage(res, status, title, message, headers = {}) {
+    const body = `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body style="font: 15px -apple-system, system-ui, sans-serif; margin: 4em auto; max-width: 32em">
+<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(message)}</p>
+</body>
+</html>
+`;
+    res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store', ...headers });
+    res.end(body);
+}
+
+// Issuers and the endpoints they list are chosen by clients, so only https://
+// URLs on public addresses are fetched, unless `allowLocal` (a mock identity
+// provider during development)
+function fetchJson(url, { method = 'GET', headers = {}, body, allowLocal = false } = {}) {
+    return new Promise((resolve, reject) => {
+        let target;
+        try {
+            target = new URL(url);
+        } catch {
+            return reject(new Error(`Invalid URL "${url}"`));
+        }
+        const host = target.hostname.replace(/^\[|\]$/g, '');
+        if (target.protocol !== 'https:' && !(allowLocal && target.protocol === 'http:')) {
+            return reject(new Error(`${url} is not an https:// URL`));
+        }
+        // IP literals connect without a lookup
+        if (!allowLocal && net.isIP(host) && isPrivateAddress(host)) {
+            return reject(new Error(`${url} points at a private address`));
+        }
+
+        const request = (target.protocol === 'https:' ? https : http).request(target, {
+            method,
+            headers,
+            timeout: FETCH_TIMEOUT,
+            lookup: allowLocal ? undefined : publicLookup,
+        }, (response) => {
+            const chunks = [];
+            let size = 0;
+            response.on('data', (chunk) => {
+                size += chunk.length;
+                if (size > MAX_FETCH_SIZE) {
+                    request.destroy(new Error('response too large'));
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            response.on('end', () => {
+                let json;
+                try {
+                    json = JSON.parse(Buffer.concat(chunks).toString());
+                } catch {
+                    return reject(new Error(`${url} answered ${response.statusCode} without JSON`));
+                }
+                if (response.statusCode < 200 || response.statusCode > 299) {
+                    return reject(new Error(`${url} answered ${response.statusCode}${json.error ? `: ${json.error_description || json.error}` : ''}`));
+                }
+                resolve(json);
+            });
+        });
+        request.on('timeout', () => request.destroy(new Error(`no answer within ${FETCH_TIMEOUT / 1000}s`)));
+        request.on('error', (err) => reject(new Error(`${url}: ${err.message}`)));
+        request.end(body);
+    });
+}
+
+// The visitor's headers for the upstream: identity headers replaced by the
+// verified identity (if any), and the gate's own cookies taken out
+function identityHeaders(rawHeaders, identity) {
+    const headers = [];
+    for (let i = 0; i < rawHeaders.length; i += 2) {
+        const name = rawHeaders[i].toLowerCase();
+        if (IDENTITY_HEADERS.includes(name)) continue;
+        if (name === 'cookie') {
+            const kept = rawHeaders[i + 1].split(';')
+                .filter(pair => ![SESSION_COOKIE, STATE_COOKIE].includes(pair.split('=')[0].trim()));
+            if (kept.length) {
+                headers.push(rawHeaders[i], kept.join(';').trim());
+            }
+            continue;
+        }
+        headers.push(rawHeaders[i], rawHeaders[i + 1]);
+    }
+
+    if (identity) {
+        if (identity.email) headers.push('X-Comzy-User-Email', identity.email);
+        if (identity.name) headers.push('X-Comzy-User-Name', encodeURIComponent(identity.name));
+        headers.push('X-Comzy-User-Sub', identity.sub);
+    }
+    return headers;
+}
+
+// `secret` signs session and login cookies; `sessionTtl` is how long a login
+// lasts (ms). `allowHttpIssuers` lets issuers use plain http and local or
+// private addresses, for a mock identity provider on the same machine.
+function createLoginGate({ secret, sessionTtl, allowHttpIssuers = false }) {
+    const providers = new Map(); // Map<issuer, { promise, expires }>
+    const keySets = new Map(); // Map<jwks_uri, { keys, fetchedAt }>
+    const fetchProvider = (url, options = {}) => fetchJson(url, { ...options, allowLocal: allowHttpIssuers });
+
+    // --- Signed cookies ---
+    function sign(payload) {
+        const data = base64url(JSON.stringify(payload));
+        return `${data}.${base64url(createHmac('sha256', secret).update(data).digest())}`;
+    }
+
+    function unsign(value) {
+        const [data, signature] = (value || '').split('.');
+        if (!data || !signature) {
+            return null;
+        }
+        const expected = createHmac('sha256', secret).update(data).digest();
+        const actual = Buffer.from(signature, 'base64url');
+        if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+            return null;
+        }
+        try {
+            const payload = JSON.parse(Buffer.from(data, 'base64url').toString());
+            return payload.exp > Date.now() ? payload : null;
+        } catch {
+            return null;
+        }
+    }
+
+    // --- Registration ---
+    // Validates the `oidc` part of a register message. Throws on bad input.
+    function compile(options) {
+        if (typeof options !== 'object' || Array.isArray(options)) {
+            throw new Error('oidc must be an object with an issuer and a clientId');
+        }
+
+        let issuer;
+        try {
+            issuer = new URL(String(options.issuer));
+        } catch {
+            throw new Error(`Invalid OIDC issuer "${options.issuer}"`);
+        }
+        if (issuer.protocol !== 'https:' && !(allowHttpIssuers && issuer.protocol === 'http:')) {
+            throw new Error(`The OIDC issuer must be an https:// URL, got "${options.issuer}"`);
+        }
+        if (!options.clientId) {
+            throw new Error('An OIDC login gate needs a client id');
+        }
+
+        const list = (value) => [].concat(value ?? [])
+            .flatMap(entry => String(entry).split(','))
+            .map(entry => entry.trim().toLowerCase().replace(/^@/, ''))
+            .filter(Boolean);
+
+        return {
+            issuer: issuer.href.replace(/\/$/, ''),
+            clientId: String(options.clientId),
+            clientSecret: options.clientSecret ? String(options.clientSecret) : null,
+            allowEmailDomains: list(options.allowEmailDomains),
+            allowEmails: list(options.allowEmails),
+        };
+    }
+
+    // The provider's metadata (.well-known/openid-configuration), cached for
+    // an hour; failures are not cached
+    function discover(issuer) {
+        const cached = providers.get(issuer);
+        if (cached && cached.expires > Date.now()) {
+            return cached.promise;
+        }
+
+        const promise = fetchProvider(`${issuer}/.well-known/openid-configuration`).then((metadata) => {
+            if (metadata.issuer?.replace(/\/$/, '') !== issuer) {
+                throw new Error(`${issuer} describes itself as issuer "${metadata.issuer}"`);
+            }
+            for (const field of ['authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+                if (!metadata[field]) {
+                    throw new Error(`${issuer} has no ${field}`);
+                }
+            }
+            return metadata;
+        });
+        providers.set(issuer, { promise, expires: Date.now() + DISCOVERY_TTL });
+        promise.catch(() => providers.delete(issuer));
+        return promise;
+    }
+
+    // --- ID tokens ---
+    async function signingKey(metadata, header) {
+        let keySet = keySets.get(metadata.jwks_uri);
+        const find = () => keySet.keys.find(key => (header.kid ? key.kid === header.kid : !key.use || key.use === 'sig'));
+
+        // Providers rotate keys: an unknown key id refetches the set
+        if (!keySet || (!find() && Date.now() - keySet.fetchedAt > JWKS_REFRESH_INTERVAL)) {
+            const { keys } = await fetchProvider(metadata.jwks_uri);
+            keySet = { keys: keys || [], fetchedAt: Date.now() };
+            keySets.set(metadata.jwks_uri, keySet);
+        }
+
+        const jwk = find();
+        if (!jwk) {
+            throw new Error(`No signing key "${header.kid}" at ${metadata.jwks_uri}`);
+        }
+        return createPublicKey({ key: jwk, format: 'jwk' });
+    }
+
+    async function verifyIdToken(token, metadata, gate, nonce) {
+        const [encodedHeader, encodedPayload, encodedSignature] = String(token).split('.');
+        let header;
+        let claims;
+        try {
+            header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString());
+            claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString());
+        } catch {
+            throw new Error('The ID token is malformed');
+        }
+
+        const signed = Buffer.from(`${encodedHeader}.${encodedPayload}`);
+        const signature = Buffer.from(encodedSignature || '', 'base64url');
+        let valid;
+        if (header.alg === 'HS256' && gate.clientSecret) {
+            const expected = createHmac('sha256', gate.clientSecret).update(signed).digest();
+            valid = signature.length === expected.length && timingSafeEqual(signature, expected);
+        } else if (SIGNING_ALGORITHMS[header.alg]) {
+            const [digest, keyType, options] = SIGNING_ALGORITHMS[header.alg];
+            const key = await signingKey(metadata, header);
+            valid = key.asymmetricKeyType.toUpperCase().startsWith(keyType) && verify(digest, signed, { key, ...options }, signature);
+        } else {
+            throw new Error(`Unsupported ID token algorithm "${header.alg}"`);
+        }
+        if (!valid) {
+            throw new Error('The ID token signature does not verify');
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        const audiences = [].concat(claims.aud);
+        if (claims.iss !== metadata.issuer) {
+            throw new Error(`The ID token comes from "${claims.iss}", not ${metadata.issuer}`);
+        }
+        if (!audiences.includes(gate.clientId)) {
+            throw new Error('The ID token was issued to another client');
+        }
+        if (!(claims.exp + CLOCK_SKEW > now)) {
+            throw new Error('The ID token has expired');
+        }
+        if (claims.nonce !== nonce) {
+            throw new Error('The ID token does not belong to this login');
+        }
+        return claims;
+    }
+
+    // --- Flow ---
+    function allowed(gate, email) {
+        if (!gate.allowEmailDomains.length && !gate.allowEmails.length) {
+            return true;
+        }
+        const address = (email || '').toLowerCase();
+        return gate.allowEmails.includes(address)
+            || gate.allowEmailDomains.includes(address.slice(address.lastIndexOf('@') + 1));
+    }
+
+    // The identity behind the request's session cookie, or null. Sessions
+    // are tied to the alias and the issuer, and re-checked against the
+    // allow lists so narrowing them takes effect at once.
+    function identify(req, alias, gate) {
+        const session = unsign(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+        if (!session || session.alias !== alias || session.issuer !== gate.issuer || !allowed(gate, session.email)) {
+            return null;
+        }
+        return { email: session.email, name: session.name, sub: session.sub };
+    }
+
+    async function startLogin(req, res, { alias, gate, origin }) {
+        const metadata = await discover(gate.issuer);
+        const state = base64url(randomBytes(16));
+        const nonce = base64url(randomBytes(16));
+        const verifier = base64url(randomBytes(32));
+
+        const url = new URL(metadata.authorization_endpoint);
+        url.search = new URLSearchParams({
+            response_type: 'code',
+            client_id: gate.clientId,
+            redirect_uri: `${origin}${CALLBACK_PATH}`,
+            scope: 'openid email profile',
+            state,
+            nonce,
+            code_challenge: base64url(createHash('sha256').update(verifier).digest()),
+            code_challenge_method: 'S256',
+        }).toString();
+
+        const login = sign({ alias, state, nonce, verifier, returnTo: req.originalUrl || req.url, exp: Date.now() + LOGIN_TIMEOUT });
+        res.writeHead(302, {
+            'Location': url.href,
+            'Set-Cookie': cookieHeader(STATE_COOKIE, login, { maxAge: LOGIN_TIMEOUT, secure: origin.startsWith('https:') }),
+            'Cache-Control': 'no-store',
+        });
+        res.end();
+    }
+
+    async function finishLogin(req, res, { alias, gate, origin }) {
+        const query = new URL(req.originalUrl || req.url, 'http://localhost').searchParams;
+        const login = unsign(parseCookies(req.headers.cookie)[STATE_COOKIE]);
+        if (!login || login.alias !== alias || login.state !== query.get('state')) {
+            throw loginError(400, 'This login link has expired or was opened in another browser. Reload the page to sign in again.');
+        }
+        if (query.get('error')) {
+            throw loginError(403, `The identity provider refused the login: ${query.get('error_description') || query.get('error')}`);
+        }
+
+        const metadata = await discover(gate.issuer);
+        const form = new URLSearchParams({
+            grant_type: 'authorization_code',
+            code: query.get('code') || '',
+            redirect_uri: `${origin}${CALLBACK_PATH}`,
+            code_verifier: login.verifier,
+            client_id: gate.clientId,
+        });
+        const headers = { 'Content-Type': 'application/x-www-form-urlencoded', 'Accept': 'application/json' };
+        // client_secret_basic unless the provider only takes client_secret_post
+        const methods = metadata.token_endpoint_auth_methods_supported;
+        if (gate.clientSecret && methods && !methods.includes('client_secret_basic') && methods.includes('client_secret_post')) {
+            form.set('client_secret', gate.clientSecret);
+        } else if (gate.clientSecret) {
+            const credentials = `${encodeURIComponent(gate.clientId)}:${encodeURIComponent(gate.clientSecret)}`;
+            headers['Authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`;
+        }
+
+        let tokens;
+        try {
+            tokens = await fetchProvider(metadata.token_endpoint, { method: 'POST', headers, body: form.toString() });
+        } catch (err) {
+            // No status: the visitor gets the generic page, the details only the log
+            throw new Error(`Token exchange failed: ${err.message}`);
+        }
+        if (!tokens.id_token) {
+            throw loginError(502, 'The identity provider returned no ID token');
+        }
+
+        let claims;
+        try {
+            claims = await verifyIdToken(tokens.id_token, metadata, gate, login.nonce);
+        } catch (err) {
+            throw loginError(403, err.message);
+        }
+
+        // Some providers only give the email from the userinfo endpoint
+        if (!claims.email && metadata.userinfo_endpoint && tokens.access_token) {
+            const info = await fetchProvider(metadata.userinfo_endpoint, {
+                headers: { 'Authorization': `Bearer ${tokens.access_token}`, 'Accept': 'application/json' },
+            }).catch(() => ({}));
+            if (info.sub === claims.sub) {
+                claims = { ...info, ...claims, email: info.email, email_verified: info.email_verified };
+            }
+        }
+
+        if (claims.email && claims.email_verified === false) {
+            throw loginError(403, `${claims.email} is not verified with the identity provider.`);
+        }
+        if (!allowed(gate, claims.email)) {
+            throw loginError(403, `${claims.email || 'This account'} is not allowed to open this site.`);
+        }
+
+        const session = sign({
+            alias,
+            issuer: gate.issuer,
+            sub: String(claims.sub),
+            email: claims.email || null,
+            name: claims.name || null,
+            exp: Date.now() + sessionTtl,
+        });
+        const secure = origin.startsWith('https:');
+        res.writeHead(302, {
+            'Location': safeReturnPath(login.returnTo),
+            'Set-Cookie': [
+                cookieHeader(SESSION_COOKIE, session, { maxAge: sessionTtl, secure }),
+                cookieHeader(STATE_COOKIE, '', { maxAge: 0, secure }),
+            ],
+            'Cache-Control': 'no-store',
+        });
+        res.end();
+        return claims;
+    }
+
+    // Runs the gate for one request to a gated tunnel. Resolves with the
+    // visitor's identity when the request may go on to the local app;
+    // otherwise the gate has answered it (redirect, callback, error page)
+    // and resolves with null. `origin` is the public scheme://host.
+    async function handle(req, res, { alias, gate, origin }) {
+        const { pathname } = new URL(req.originalUrl || req.url, 'http://localhost');
+
+        try {
+            if (pathname === CALLBACK_PATH) {
+                const claims = await finishLogin(req, res, { alias, gate, origin });
+                console.log(`[LOGIN] ${claims.email || claims.sub} signed in to ${alias}`);
+                return null;
+            }
+            if (pathname === LOGOUT_PATH) {
+                sendPage(res, 200, 'Signed out', 'You have been signed out.', {
+                    'Set-Cookie': cookieHeader(SESSION_COOKIE, '', { maxAge: 0, secure: origin.startsWith('https:') }),
+                });
+                return null;
+            }
+
+            const identity = identify(req, alias, gate);
+            if (identity) {
+                return identity;
+            }
+
+            // Only page loads can follow a redirect to a login page
+            const navigation = req.method === 'GET' && (req.headers.accept || '').includes('text/html');
+            if (!navigation) {
+                res.writeHead(401, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+                res.end(JSON.stringify({ error: 'Login required', login: `${origin}/` }));
+                return null;
+            }
+            await startLogin(req, res, { alias, gate, origin });
+        } catch (err) {
+            const status = err.status || 502;
+            console.warn(`[LOGIN] ${status} on ${alias}: ${err.message}`);
+            if (!res.headersSent) {
+                sendPage(res, status, status === 403 ? 'Access denied' : 'Login failed',
+                    err.status ? err.message : 'The identity provider could not be reached. Try again in a moment.');
+            }
+        }
+        return null;
+    }
+
+    return { compile, discover, identify, handle };
+}
+
+module.exports = { createLoginGate, identityHeaders };
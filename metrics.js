@@ -0,0 +1,167 @@
+const client = require('prom-client');
+
+// ===== Metrics =====
+// Prometheus metrics for the tunnel server, served from their own port so
+// they never share a listener with tunnel traffic. Gauges that mirror server
+// state are computed on scrape from the callbacks passed in.
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const QUERY_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 5];
+
+function statusClass(status) {
+    return status >= 100 && status < 600 ? `${Math.floor(status / 100)}xx` : 'unknown';
+}
+
+// `activeTunnels()` -> { [proto]: count }, `connectedClients()` -> count,
+// `registeredUsers()` -> Promise<count>
+function createMetrics({ activeTunnels, connectedClients, registeredUsers }) {
+    const registry = new client.Registry();
+    client.collectDefaultMetrics({ register: registry, prefix: 'comzy_' });
+
+    new client.Gauge({
+        name: 'comzy_active_tunnels',
+        help: 'Tunnels currently registered, by protocol',
+        labelNames: ['proto'],
+        registers: [registry],
+        collect() {
+            this.reset();
+            for (const [proto, count] of Object.entries(activeTunnels())) {
+                this.set({ proto }, count);
+            }
+        },
+    });
+
+    new client.Gauge({
+        name: 'comzy_connected_clients',
+        help: 'Client WebSocket connections currently open',
+        registers: [registry],
+        collect() {
+            this.set(connectedClients());
+        },
+    });
+
+    new client.Gauge({
+        name: 'comzy_registered_users',
+        help: 'Users in storage',
+        registers: [registry],
+        async collect() {
+            try {
+                this.set(await registeredUsers());
+            } catch {
+                // Leave the last value; the failure shows in comzy_db_query_errors_total
+            }
+        },
+    });
+
+    const registrations = new client.Counter({
+        name: 'comzy_tunnel_registrations_total',
+        help: 'Tunnel registrations, by result (registered, refused, error)',
+        labelNames: ['result'],
+        registers: [registry],
+    });
+
+    const reconnects = new client.Counter({
+        name: 'comzy_websocket_reconnects_total',
+        help: 'Client WebSocket connections re-established after a disconnect',
+        registers: [registry],
+    });
+
+    const requests = new client.Counter({
+        name: 'comzy_http_requests_total',
+        help: 'Proxied HTTP requests, by response status class',
+        labelNames: ['status_class'],
+        registers: [registry],
+    });
+
+    const requestDuration = new client.Histogram({
+        name: 'comzy_http_request_duration_seconds',
+        help: 'Time from receiving a proxied request to finishing its response',
+        labelNames: ['status_class'],
+        buckets: LATENCY_BUCKETS,
+        registers: [registry],
+    });
+
+    const bytesIn = new client.Counter({
+        name: 'comzy_tunnel_bytes_in_total',
+        help: 'Bytes received from visitors, per tunnel',
+        labelNames: ['alias'],
+        registers: [registry],
+    });
+
+    const bytesOut = new client.Counter({
+        name: 'comzy_tunnel_bytes_out_total',
+        help: 'Bytes sent to visitors, per tunnel',
+        labelNames: ['alias'],
+        registers: [registry],
+    });
+
+    const queryDuration = new client.Histogram({
+        name: 'comzy_db_query_duration_seconds',
+        help: 'Storage call latency, by operation',
+        labelNames: ['operation'],
+        buckets: QUERY_BUCKETS,
+        registers: [registry],
+    });
+
+    const queryErrors = new client.Counter({
+        name: 'comzy_db_query_errors_total',
+        help: 'Failed storage calls, by operation',
+        labelNames: ['operation'],
+        registers: [registry],
+    });
+
+    // Times every storage method; init and close are left alone
+    function instrumentStorage(storage) {
+        const instrumented = { ...storage };
+        for (const [operation, method] of Object.entries(storage)) {
+            if (typeof method !== 'function' || operation === 'init' || operation === 'close') {
+                continue;
+            }
+            instrumented[operation] = async (...args) => {
+                const end = queryDuration.startTimer({ operation });
+                try {
+                    return await method.apply(storage, args);
+                } catch (err) {
+                    queryErrors.inc({ operation });
+                    throw err;
+                } finally {
+                    end();
+                }
+            };
+        }
+        return instrumented;
+    }
+
+    function requestCompleted(status, latencyMs) {
+        const labels = { status_class: statusClass(status) };
+        requests.inc(labels);
+        requestDuration.observe(labels, latencyMs / 1000);
+    }
+
+    function countBytes(alias, received, sent) {
+        if (received) {
+            bytesIn.inc({ alias }, received);
+        }
+        if (sent) {
+            bytesOut.inc({ alias }, sent);
+        }
+    }
+
+    // Drops a closed tunnel's series so aliases don't pile up
+    function tunnelClosed(alias) {
+        bytesIn.remove({ alias });
+        bytesOut.remove({ alias });
+    }
+
+    return {
+        registry,
+        instrumentStorage,
+        requestCompleted,
+        countBytes,
+        tunnelClosed,
+        registration: (result) => registrations.inc({ result }),
+        reconnected: () => reconnects.inc(),
+    };
+}
+
+module.exports = { createMetrics };
@@ -0,0 +1,340 @@
+const { Duplex } = require('stream');
+
+// ===== Tunnel Framing Protocol =====
+//
+// Control messages (register, registered, error) travel as JSON text frames.
+// Proxied traffic travels as binary frames, each carrying one of the types
+// below for a single stream:
+//
+//   +--------+------------------+-------------------+
+//   | type   | stream id        | payload           |
+//   | 1 byte | 4 bytes (uint32) | remaining bytes   |
+//   +--------+------------------+-------------------+
+//
+// HEADERS opens a stream (request head) or answers it (response head), DATA
+// carries a body chunk, END closes the sender's side, ABORT tears the stream
+// down in both directions and WINDOW grants the peer more send credit. A
+// HEADERS frame of the form { trailers } after the body, just before END,
+// carries trailing headers (gRPC's status lives there).
+
+const FRAME = {
+    HEADERS: 0x01,
+    DATA: 0x02,
+    END: 0x03,
+    ABORT: 0x04,
+    WINDOW: 0x05,
+};
+
+// Sent by clients in register messages. Version 1 is the JSON-only protocol
+// from before framing; its clients send no version, and the server counts a
+// missing one as 1.
+const PROTOCOL_VERSION = 2;
+
+// Codes on error replies to register messages. auth_failed and
+// version_unsupported are permanent: retrying cannot help. limit_exceeded
+// clears with time and may say when, in `retryAfter` seconds. Errors without
+// a code concern that one tunnel (a taken subdomain, a bad option...).
+const ERROR_CODE = {
+    AUTH_FAILED: 'auth_failed',
+    LIMIT_EXCEEDED: 'limit_exceeded',
+    VERSION_UNSUPPORTED: 'version_unsupported',
+};
+
+const HEADER_SIZE = 5;
+const INITIAL_WINDOW = 256 * 1024; // Bytes a sender may have in flight per stream
+const MAX_CHUNK_SIZE = 64 * 1024; // Largest DATA payload
+
+function encodeFrame(type, streamId, payload) {
+    const body = payload === undefined ? Buffer.alloc(0)
+        : Buffer.isBuffer(payload) ? payload
+        : Buffer.from(typeof payload === 'string' ? payload : JSON.stringify(payload));
+
+    const frame = Buffer.allocUnsafe(HEADER_SIZE + body.length);
+    frame.writeUInt8(type, 0);
+    frame.writeUInt32BE(streamId, 1);
+    body.copy(frame, HEADER_SIZE);
+    return frame;
+}
+
+function decodeFrame(buffer) {
+    if (buffer.length < HEADER_SIZE) {
+        throw new Error(`Frame too short (${buffer.length} bytes)`);
+    }
+    return {
+        type: buffer.readUInt8(0),
+        streamId: buffer.readUInt32BE(1),
+        payload: buffer.subarray(HEADER_SIZE),
+    };
+}
+
+// --- Header helpers ---
+// Heads carry `rawHeaders` (flat [name, value, ...] lists as Node exposes
+// them) so header case, order and repeated headers such as Set-Cookie
+// survive the trip. Only hop-by-hop headers, which describe a single
+// connection rather than the message, are dropped.
+const HOP_BY_HOP_HEADERS = new Set([
+    'connection',
+    'keep-alive',
+    'proxy-connection',
+    'proxy-authenticate',
+    'proxy-authorization',
+    'upgrade',
+]);
+
+function stripHopByHopHeaders(rawHeaders) {
+    const dropped = new Set(HOP_BY_HOP_HEADERS);
+
+    // Connection may name further per-connection headers
+    for (let i = 0; i < rawHeaders.length; i += 2) {
+        if (rawHeaders[i].toLowerCase() === 'connection') {
+            for (const name of rawHeaders[i + 1].split(',')) {
+                dropped.add(name.trim().toLowerCase());
+            }
+        }
+    }
+
+    const kept = [];
+    for (let i = 0; i < rawHeaders.length; i += 2) {
+        if (!dropped.has(rawHeaders[i].toLowerCase())) {
+            kept.push(rawHeaders[i], rawHeaders[i + 1]);
+        }
+    }
+    return kept;
+}
+
+// Responses that arrive over time instead of as one body: server-sent events,
+// and bodies of undeclared length (chunked progress output, streamed JSON).
+// They are passed on chunk by chunk, as everything is, but with no timeout
+// for as long as they stay open.
+function isStreamingResponse({ method, status, rawHeaders }) {
+    if (method === 'HEAD' || status === 204 || status === 304 || status < 200) {
+        return false;
+    }
+
+    let contentType = '';
+    let hasLength = false;
+    for (let i = 0; i < rawHeaders.length; i += 2) {
+        const name = rawHeaders[i].toLowerCase();
+        if (name === 'content-type') {
+            contentType = rawHeaders[i + 1].toLowerCase();
+        } else if (name === 'content-length') {
+            hasLength = true;
+        }
+    }
+    return contentType.startsWith('text/event-stream') || !hasLength;
+}
+
+function streamError(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+// --- Multiplexer ---
+// Wraps a WebSocket and exposes every stream as a Duplex: the readable side
+// yields the peer's body chunks, the writable side sends ours. Each side may
+// only send as many bytes as the peer has granted, and credit is only handed
+// back once the local consumer has taken the data, so a slow reader stalls
+// its sender instead of filling memory.
+//
+// `initiator` picks odd stream ids (server) or even ones (client) so both ends
+// can open streams without colliding.
+function createMultiplexer(ws, { initiator = false, onStream } = {}) {
+    const streams = new Map(); // Map<streamId, Duplex>
+    let nextStreamId = initiator ? 1 : 2;
+
+    function send(type, streamId, payload, callback) {
+        if (ws.readyState !== 1) {
+            if (callback) callback(new Error('Tunnel connection closed'));
+            return;
+        }
+        ws.send(encodeFrame(type, streamId, payload), { binary: true }, callback);
+    }
+
+    function createStream(streamId) {
+        let sendWindow = INITIAL_WINDOW;
+        let pendingWrite = null; // { chunk, callback } waiting for credit
+        let unacknowledged = 0; // Bytes consumed locally but not yet credited back
+        let remoteClosed = false;
+        let trailers = null; // Raw trailers to send just before END
+
+        function grantCredit() {
+            if (unacknowledged > 0 && !remoteClosed) {
+                const credit = Buffer.allocUnsafe(4);
+                credit.writeUInt32BE(unacknowledged, 0);
+                unacknowledged = 0;
+                send(FRAME.WINDOW, streamId, credit);
+            }
+        }
+
+        function writeChunk(chunk, callback) {
+            let offset = 0;
+            while (offset < chunk.length && sendWindow > 0) {
+                const size = Math.min(chunk.length - offset, sendWindow, MAX_CHUNK_SIZE);
+                const piece = chunk.subarray(offset, offset + size);
+                offset += size;
+                sendWindow -= size;
+
+                if (offset === chunk.length) {
+                    // Let the socket's own flush drive write completion
+                    send(FRAME.DATA, streamId, piece, callback);
+                    return;
+                }
+                send(FRAME.DATA, streamId, piece);
+            }
+            pendingWrite = { chunk: chunk.subarray(offset), callback };
+        }
+
+        const stream = new Duplex({
+            read() {
+                grantCredit();
+            },
+            write(chunk, encoding, callback) {
+                writeChunk(chunk, callback);
+            },
+            final(callback) {
+                // After every write has gone out, so trailers never overtake the body
+                if (trailers) {
+                    send(FRAME.HEADERS, streamId, { trailers });
+                }
+                send(FRAME.END, streamId, undefined, callback);
+            },
+            destroy(err, callback) {
+                streams.delete(streamId);
+                const completed = stream.writableEnded && stream.readableEnded;
+                if (!remoteClosed && !completed) {
+                    send(FRAME.ABORT, streamId, { message: err?.message || 'Stream aborted' });
+                }
+                if (pendingWrite) {
+                    pendingWrite.callback(err || new Error('Stream aborted'));
+                    pendingWrite = null;
+                }
+                callback(err);
+            },
+        });
+
+        stream.id = streamId;
+
+        // Sends the head for this stream: the request when we opened it,
+        // the response when the peer did
+        stream.sendHeaders = (head) => send(FRAME.HEADERS, streamId, head);
+
+        // Trailers ([name, value, ...]) to send once the body is done, on
+        // end(). The peer finds them in `stream.trailers` by its 'end' event.
+        stream.setTrailers = (rawTrailers) => {
+            trailers = rawTrailers;
+        };
+        stream.trailers = null;
+
+        stream._onFrame = (type, payload) => {
+            switch (type) {
+                case FRAME.HEADERS: {
+                    const head = JSON.parse(payload.toString());
+                    if (head.trailers) {
+                        stream.trailers = head.trailers;
+                    } else {
+                        stream.emit('headers', head);
+                    }
+                    break;
+                }
+                case FRAME.DATA:
+                    unacknowledged += payload.length;
+                    if (stream.push(payload)) {
+                        grantCredit();
+                    }
+                    break;
+                case FRAME.END:
+                    stream.push(null);
+                    break;
+                case FRAME.ABORT: {
+                    remoteClosed = true;
+                    const { message } = payload.length ? JSON.parse(payload.toString()) : {};
+                    stream.destroy(new Error(message || 'Stream aborted by peer'));
+                    break;
+                }
+                case FRAME.WINDOW:
+                    sendWindow += payload.readUInt32BE(0);
+                    if (pendingWrite) {
+                        const { chunk, callback } = pendingWrite;
+                        pendingWrite = null;
+                        writeChunk(chunk, callback);
+                    }
+                    break;
+            }
+        };
+
+        streams.set(streamId, stream);
+        return stream;
+    }
+
+    // Stream ids are per connection, so ids only need to be unique among the
+    // streams that are still open; wrap-around skips any that are
+    function nextId() {
+        let streamId;
+        do {
+            streamId = nextStreamId;
+            nextStreamId = (nextStreamId + 2) % 0x100000000 || (initiator ? 1 : 2);
+        } while (streams.has(streamId));
+        return streamId;
+    }
+
+    // Opens a new outgoing stream and sends its head. With `responseTimeout`
+    // the stream is failed with ETIMEDOUT unless the peer answers with its
+    // own HEADERS frame in time.
+    function open(head, { responseTimeout } = {}) {
+        const stream = createStream(nextId());
+        stream.sendHeaders(head);
+
+        if (responseTimeout) {
+            const timer = setTimeout(() => {
+                stream.destroy(streamError('ETIMEDOUT', `No response within ${responseTimeout}ms`));
+            }, responseTimeout);
+            stream.once('headers', () => clearTimeout(timer));
+            stream.once('close', () => clearTimeout(timer));
+        }
+
+        return stream;
+    }
+
+    // Feeds one binary WebSocket message into the multiplexer
+    function receive(data) {
+        const { type, streamId, payload } = decodeFrame(Buffer.isBuffer(data) ? data : Buffer.from(data));
+        let stream = streams.get(streamId);
+
+        if (!stream) {
+            if (type === FRAME.HEADERS && onStream) {
+                stream = createStream(streamId);
+                onStream(stream, JSON.parse(payload.toString()));
+            } else if (type !== FRAME.ABORT && type !== FRAME.WINDOW) {
+                // Late frames for a stream we already tore down
+                send(FRAME.ABORT, streamId, { message: 'Unknown stream' });
+            }
+            return;
+        }
+
+        stream._onFrame(type, payload);
+    }
+
+    // Fails every open stream, e.g. when the underlying connection drops
+    function destroyAll(reason = 'Tunnel connection closed') {
+        for (const stream of streams.values()) {
+            stream.destroy(streamError('ECONNRESET', reason));
+        }
+        streams.clear();
+    }
+
+    return { open, receive, destroyAll, streams };
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    ERROR_CODE,
+    FRAME,
+    INITIAL_WINDOW,
+    MAX_CHUNK_SIZE,
+    encodeFrame,
+    decodeFrame,
+    createMultiplexer,
+    stripHopByHopHeaders,
+    isStreamingResponse,
+};
@@ -0,0 +1,40 @@
+// ===== Tunnel Registry =====
+// Which server node holds each alias. Every node keeps its own connections
+// (clients, aliasToUUID...) in memory and records here what it holds, so a
+// request that reaches the wrong node can be forwarded to the right one.
+// Every method returns a promise.
+//
+//   start()                 Announce this node, then keep it alive and
+//                           clean up after nodes that stopped doing so
+//   close()                 Withdraw this node and everything it holds
+//
+//   claim(alias, userId)    This node now holds `alias`, taking it over from
+//                           any other node
+//   release(alias)          Forget `alias`, unless another node took it over
+//   lookup(alias)           -> { nodeId, address } of the live node holding it, or null
+//   userAliases(userId)     -> aliases the user holds on any node
+//
+//   lead(name, ttl)         -> true if this node holds the `name` lock, taking
+//                           it when free; held for `ttl` ms after each call
+//   putChallenge(token, keyAuthorization, ttl)
+//                           Shares an ACME http-01 answer with every node
+//   getChallenge(token)     -> keyAuthorization, or null
+//   removeChallenge(token)
+//
+// Backends are created with { nodeId, address, ... }: `address` is the
+// host:port other nodes forward requests to.
+
+const BACKENDS = {
+    redis: () => require('./redis'),
+    memory: () => require('./memory'),
+};
+
+function createRegistry(type, options) {
+    const backend = BACKENDS[type];
+    if (!backend) {
+        throw new Error(`Unknown registry "${type}" (use ${Object.keys(BACKENDS).join(', ')})`);
+    }
+    return backend().createRegistry(options);
+}
+
+module.exports = { createRegistry };
@@ -0,0 +1,50 @@
+// ===== In-Memory Registry =====
+// A single node that knows only itself: the default when one server runs
+// alone, and the stand-in for Redis in tests.
+function createRegistry({ nodeId, address }) {
+    const aliases = new Map(); // Map<alias, userId>
+    const challenges = new Map(); // Map<token, key authorization>
+
+    return {
+        async start() {},
+
+        async close() {
+            aliases.clear();
+        },
+
+        async claim(alias, userId) {
+            aliases.set(alias, userId);
+        },
+
+        async release(alias) {
+            aliases.delete(alias);
+        },
+
+        async lookup(alias) {
+            return aliases.has(alias) ? { nodeId, address } : null;
+        },
+
+        async userAliases(userId) {
+            return [...aliases].filter(([, owner]) => owner === userId).map(([alias]) => alias);
+        },
+
+        // Alone, this node always leads
+        async lead() {
+            return true;
+        },
+
+        async putChallenge(token, keyAuthorization) {
+            challenges.set(token, keyAuthorization);
+        },
+
+        async getChallenge(token) {
+            return challenges.get(token) ?? null;
+        },
+
+        async removeChallenge(token) {
+            challenges.delete(token);
+        },
+    };
+}
+
+module.exports = { createRegistry };
@@ -0,0 +1,221 @@
+// ===== Redis Registry =====
+// Shared by every node of a cluster. Keys, under `prefix`:
+//
+//   aliases               hash  alias -> {"node","user"}
+//   nodes                 hash  nodeId -> address
+//   node:<id>             string, expires unless the node keeps refreshing it
+//   node:<id>:aliases     set of aliases the node holds
+//   user:<userId>:aliases set of aliases the user holds
+//   lock:<name>           string, the id of the node holding the lock
+//   challenge:<token>     string, an ACME http-01 key authorization
+//
+// A node whose key has expired is dead: lookups skip it and the next node to
+// notice removes everything it held. A node that was taken for dead (Redis
+// out of reach for longer than `nodeTtl`) claims its aliases back on its next
+// heartbeat. Updates that touch several keys are Lua scripts, so they are
+// atomic.
+
+const CLAIM = `
+    local previous = redis.call('HGET', KEYS[1], ARGV[1])
+    if previous then
+        local owner = cjson.decode(previous)
+        redis.call('SREM', ARGV[4] .. 'node:' .. owner.node .. ':aliases', ARGV[1])
+        redis.call('SREM', ARGV[4] .. 'user:' .. owner.user .. ':aliases', ARGV[1])
+    end
+    redis.call('HSET', KEYS[1], ARGV[1], cjson.encode({ node = ARGV[2], user = ARGV[3] }))
+    redis.call('SADD', KEYS[2], ARGV[1])
+    redis.call('SADD', KEYS[3], ARGV[1])
+`;
+
+const RELEASE = `
+    local previous = redis.call('HGET', KEYS[1], ARGV[1])
+    if not previous then
+        return 0
+    end
+    local owner = cjson.decode(previous)
+    if owner.node ~= ARGV[2] then
+        return 0
+    end
+    redis.call('HDEL', KEYS[1], ARGV[1])
+    redis.call('SREM', ARGV[3] .. 'node:' .. owner.node .. ':aliases', ARGV[1])
+    redis.call('SREM', ARGV[3] .. 'user:' .. owner.user .. ':aliases', ARGV[1])
+    return 1
+`;
+
+const LOOKUP = `
+    local previous = redis.call('HGET', KEYS[1], ARGV[1])
+    if not previous then
+        return nil
+    end
+    local owner = cjson.decode(previous)
+    if redis.call('EXISTS', ARGV[2] .. 'node:' .. owner.node) == 0 then
+        return nil
+    end
+    return { owner.node, redis.call('HGET', KEYS[2], owner.node) }
+`;
+
+// Claims aliases (ARGV pairs from the third on) back for this node, unless
+// another live node has taken one over in the meantime
+const RECLAIM = `
+    for i = 3, #ARGV, 2 do
+        local alias, user = ARGV[i], ARGV[i + 1]
+        local previous = redis.call('HGET', KEYS[1], alias)
+        local owner = previous and cjson.decode(previous)
+        if not owner or owner.node == ARGV[1] or redis.call('EXISTS', ARGV[2] .. 'node:' .. owner.node) == 0 then
+            if owner then
+                redis.call('SREM', ARGV[2] .. 'node:' .. owner.node .. ':aliases', alias)
+                redis.call('SREM', ARGV[2] .. 'user:' .. owner.user .. ':aliases', alias)
+            end
+            redis.call('HSET', KEYS[1], alias, cjson.encode({ node = ARGV[1], user = user }))
+            redis.call('SADD', KEYS[2], alias)
+            redis.call('SADD', ARGV[2] .. 'user:' .. user .. ':aliases', alias)
+        end
+    end
+`;
+
+const LEAD = `
+    if redis.call('SET', KEYS[1], ARGV[1], 'NX', 'PX', ARGV[2]) then
+        return 1
+    end
+    if redis.call('GET', KEYS[1]) == ARGV[1] then
+        redis.call('PEXPIRE', KEYS[1], ARGV[2])
+        return 1
+    end
+    return 0
+`;
+
+// Removes a node and the aliases it still holds
+const REAP = `
+    for _, alias in ipairs(redis.call('SMEMBERS', KEYS[2])) do
+        local previous = redis.call('HGET', KEYS[1], alias)
+        if previous then
+            local owner = cjson.decode(previous)
+            if owner.node == ARGV[1] then
+                redis.call('HDEL', KEYS[1], alias)
+                redis.call('SREM', ARGV[2] .. 'user:' .. owner.user .. ':aliases', alias)
+            end
+        end
+    end
+    redis.call('DEL', KEYS[2])
+    redis.call('HDEL', KEYS[3], ARGV[1])
+`;
+
+function createRegistry({ nodeId, address, url, prefix = 'comzy:', heartbeatInterval = 5000, nodeTtl = 15000 }) {
+    const { createClient } = require('redis');
+    const client = createClient({ url });
+    const held = new Map(); // Map<alias, userId> this node holds, to claim back after an outage
+    let heartbeatTimer = null;
+    let failing = false;
+
+    // The client reconnects by itself; log once per outage
+    client.on('error', (err) => {
+        if (!failing) {
+            console.error('[REGISTRY] Redis unavailable:', err.message);
+            failing = true;
+        }
+    });
+    client.on('ready', () => {
+        if (failing) {
+            console.log('[REGISTRY] Redis reconnected');
+            failing = false;
+        }
+    });
+
+    const key = {
+        aliases: `${prefix}aliases`,
+        nodes: `${prefix}nodes`,
+        node: (id) => `${prefix}node:${id}`,
+        nodeAliases: (id) => `${prefix}node:${id}:aliases`,
+        userAliases: (userId) => `${prefix}user:${userId}:aliases`,
+        lock: (name) => `${prefix}lock:${name}`,
+        challenge: (token) => `${prefix}challenge:${token}`,
+    };
+
+    function reap(id) {
+        return client.eval(REAP, {
+            keys: [key.aliases, key.nodeAliases(id), key.nodes],
+            arguments: [id, prefix],
+        });
+    }
+
+    async function heartbeat() {
+        await client.set(key.node(nodeId), address, { PX: nodeTtl });
+        await client.hSet(key.nodes, nodeId, address);
+
+        // Cheap when nothing was lost, and covers outages the timer never saw
+        // fail (a stalled event loop lets the key expire too)
+        if (held.size > 0) {
+            await client.eval(RECLAIM, {
+                keys: [key.aliases, key.nodeAliases(nodeId)],
+                arguments: [nodeId, prefix, ...[...held].flat()],
+            });
+        }
+
+        for (const id of Object.keys(await client.hGetAll(key.nodes))) {
+            if (id !== nodeId && !(await client.exists(key.node(id)))) {
+                console.log(`[REGISTRY] Node ${id} is gone, removing its tunnels`);
+                await reap(id);
+            }
+        }
+    }
+
+    return {
+        async start() {
+            await client.connect();
+            // Whatever a previous run under this node id left behind is stale
+            await reap(nodeId);
+            await heartbeat();
+            heartbeatTimer = setInterval(() => {
+                heartbeat().catch(err => console.error('[REGISTRY] Heartbeat failed:', err.message));
+            }, heartbeatInterval);
+        },
+
+        async close() {
+            clearInterval(heartbeatTimer);
+            held.clear();
+            await reap(nodeId);
+            await client.del(key.node(nodeId));
+            await client.close();
+        },
+
+        async claim(alias, userId) {
+            held.set(alias, userId);
+            await client.eval(CLAIM, {
+                keys: [key.aliases, key.nodeAliases(nodeId), key.userAliases(userId)],
+                arguments: [alias, nodeId, userId, prefix],
+            });
+        },
+
+        async release(alias) {
+            held.delete(alias);
+            await client.eval(RELEASE, { keys: [key.aliases], arguments: [alias, nodeId, prefix] });
+        },
+
+        async lookup(alias) {
+            const owner = await client.eval(LOOKUP, { keys: [key.aliases, key.nodes], arguments: [alias, prefix] });
+            return owner && owner[1] ? { nodeId: owner[0], address: owner[1] } : null;
+        },
+
+        async userAliases(userId) {
+            return client.sMembers(key.userAliases(userId));
+        },
+
+        async lead(name, ttl) {
+            return await client.eval(LEAD, { keys: [key.lock(name)], arguments: [nodeId, String(ttl)] }) === 1;
+        },
+
+        async putChallenge(token, keyAuthorization, ttl) {
+            await client.set(key.challenge(token), keyAuthorization, { PX: ttl });
+        },
+
+        async getChallenge(token) {
+            return client.get(key.challenge(token));
+        },
+
+        async removeChallenge(token) {
+            await client.del(key.challenge(token));
+        },
+    };
+}
+
+module.exports = { createRegistry };
@@ -0,0 +1,118 @@
+// ===== Request Log =====
+// Proxied requests are logged without ever holding up a response: entries are
+// buffered in memory and written in batches, when `batchSize` entries are
+// waiting or every `flushInterval` ms. While the database is unreachable the
+// buffer keeps up to `maxBuffer` entries and drops the rest, so an outage
+// costs log rows rather than memory or latency. Rows the database refuses
+// outright are dropped one by one, so they cannot hold up the ones behind.
+//
+// A retention job folds rows older than `retentionDays` into hourly
+// aggregates per alias (api_request_rollups) and deletes them; aggregates
+// older than `rollupRetentionDays` are deleted too (0 keeps them forever).
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+function createRequestLog({
+    storage,
+    batchSize = 100,
+    flushInterval = 2000,
+    maxBuffer = 10000,
+    retentionDays = 30,
+    rollupRetentionDays = 365,
+    retentionInterval = HOUR,
+}) {
+    let buffer = [];
+    let flushing = null; // Promise of the write in flight
+    let dropped = 0; // Entries shed since the last successful write
+    let failing = false;
+    let flushTimer = null;
+    let retentionTimer = null;
+
+    function log(entry) {
+        if (buffer.length >= maxBuffer) {
+            dropped++;
+            return;
+        }
+        buffer.push({ ...entry, createdAt: entry.createdAt || new Date() });
+        if (buffer.length >= batchSize && flushTimer) {
+            flush();
+        }
+    }
+
+    async function writeBatches() {
+        let rowByRow = 0; // Entries left to write singly after a refused batch
+        while (buffer.length > 0) {
+            const batch = buffer.slice(0, rowByRow > 0 ? 1 : batchSize);
+            try {
+                await storage.logRequests(batch);
+            } catch (err) {
+                if (err.code !== 'REJECTED') {
+                    if (!failing) {
+                        console.error(`[LOG] Request log unavailable, buffering (${buffer.length} waiting): ${err.message}`);
+                        failing = true;
+                    }
+                    return;
+                }
+                if (batch.length > 1) {
+                    // One bad row fails the whole INSERT: find it by writing the batch row by row
+                    rowByRow = batch.length;
+                    continue;
+                }
+                console.error(`[LOG] Dropped a request log entry the database refused: ${err.message}`);
+            }
+            buffer = buffer.slice(batch.length);
+            rowByRow = Math.max(rowByRow - 1, 0);
+
+            if (failing || dropped > 0) {
+                console.log(`[LOG] Request log recovered${dropped ? `, ${dropped} entries were dropped` : ''}`);
+                failing = false;
+                dropped = 0;
+            }
+        }
+    }
+
+    function flush() {
+        if (!flushing) {
+            flushing = writeBatches().finally(() => { flushing = null; });
+        }
+        return flushing;
+    }
+
+    // Folds complete hours older than the retention period into rollups
+    async function applyRetention() {
+        try {
+            if (retentionDays > 0) {
+                const cutoff = new Date(Math.floor((Date.now() - retentionDays * DAY) / HOUR) * HOUR);
+                const rolledUp = await storage.rollupRequests(cutoff);
+                if (rolledUp > 0) {
+                    console.log(`[LOG] Rolled ${rolledUp} request log rows before ${cutoff.toISOString()} into hourly aggregates`);
+                }
+            }
+            if (rollupRetentionDays > 0) {
+                await storage.pruneRequestRollups(new Date(Date.now() - rollupRetentionDays * DAY));
+            }
+        } catch (err) {
+            console.error('[LOG] Request log retention failed:', err.message);
+        }
+    }
+
+    // Called once storage is ready; entries logged before then just wait
+    function start() {
+        flushTimer = setInterval(flush, flushInterval);
+        retentionTimer = setInterval(applyRetention, retentionInterval);
+        applyRetention();
+    }
+
+    // Stops the timers and writes whatever is still buffered
+    async function close() {
+        clearInterval(flushTimer);
+        clearInterval(retentionTimer);
+        await flushing;
+        await flush();
+    }
+
+    return { start, log, flush, applyRetention, close };
+}
+
+module.exports = { createRequestLog };
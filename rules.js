@@ -0,0 +1,317 @@
+const fs = require('fs');
+const path = require('path');
+const mime = require('mime-types');
+const YAML = require('yaml');
+const { compileFaults, mergeFaults } = require('./faults');
+
+// ===== Response Rules =====
+// Lets the client answer or reshape requests before they reach the upstream,
+// from a YAML file given with `--rules`:
+//
+// rules:
+//   - match:
+//       method: [GET, HEAD]      # optional, one method or a list
+//       path: /api/users/*       # optional glob: * stays within a segment, ** does not
+//       headers:                 # optional, every header must match (value is a glob)
+//         x-feature: beta
+//     respond:                   # answer here, the upstream never sees the request
+//       status: 200
+//       file: stubs/users.json   # relative to the rules file, or...
+//       body: { users: [] }      # ...text, or a mapping/list sent as JSON
+//       headers: { X-Stub: "1" }
+//   - match: { path: /v1/** }
+//     rewrite: /v2/$1            # $1, $2... are the path's wildcards
+//     request_headers: { set: { X-Debug: "1" }, remove: [cookie] }
+//     response_headers: { set: { Cache-Control: no-store }, remove: [server] }
+//   - match: { path: /api/** }
+//     cors: true                 # or { origins: [...], credentials: true, max_age: 600 }
+//   - match: { path: /upload/** }
+//     faults: { latency: 300ms±100, error_rate: 5%:503, bandwidth: 256kbps, drop_rate: 2% }
+//
+// Every matching rule applies, top to bottom, and a rewrite changes the path
+// later rules see. A `respond` rule, or a CORS preflight, ends the list. The
+// file is reloaded when it changes; stub files are read on every request.
+
+// --- Helpers ---
+function globToRegExp(glob, star = '[^/]*') {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        if (glob[i] === '*' && glob[i + 1] === '*') {
+            source += '(.*)';
+            i++;
+        } else if (glob[i] === '*') {
+            source += `(${star})`;
+        } else if (glob[i] === '?') {
+            source += '(.)';
+        } else {
+            source += glob[i].replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+function headerValue(rawHeaders, name) {
+    for (let i = 0; i < rawHeaders.length; i += 2) {
+        if (rawHeaders[i].toLowerCase() === name) {
+            return rawHeaders[i + 1];
+        }
+    }
+    return undefined;
+}
+
+function removeHeaders(rawHeaders, names) {
+    return rawHeaders.filter((_, i, list) => !names.includes(list[i - (i % 2)].toLowerCase()));
+}
+
+// `set` replaces any value the header had; `remove` drops it
+function editHeaders(rawHeaders, { set, remove }) {
+    const edited = removeHeaders(rawHeaders, [...remove, ...Object.keys(set).map(name => name.toLowerCase())]);
+    for (const [name, value] of Object.entries(set)) {
+        edited.push(name, value);
+    }
+    return edited;
+}
+
+// --- Loading ---
+function compileHeaderEdits(edits, where) {
+    if (typeof edits !== 'object' || Array.isArray(edits)) {
+        throw new Error(`${where} must be a mapping with "set" and/or "remove"`);
+    }
+    const remove = edits.remove === undefined ? [] : [].concat(edits.remove);
+    return {
+        set: Object.fromEntries(Object.entries(edits.set || {}).map(([name, value]) => [name, String(value)])),
+        remove: remove.map(name => String(name).toLowerCase()),
+    };
+}
+
+function compileCors(cors, where) {
+    if (cors === true) {
+        cors = {};
+    } else if (typeof cors !== 'object' || Array.isArray(cors)) {
+        throw new Error(`${where} must be true or a mapping`);
+    }
+    const origins = cors.origins === undefined ? null : [].concat(cors.origins).map(String);
+    // Any site could read responses made with the visitor's cookies
+    if (cors.credentials && !origins) {
+        throw new Error(`${where} with credentials needs an origins list`);
+    }
+    return {
+        origins,
+        credentials: Boolean(cors.credentials),
+        maxAge: cors.max_age === undefined ? 600 : Number(cors.max_age),
+    };
+}
+
+function compileRespond(respond, where, baseDir) {
+    if (typeof respond !== 'object' || Array.isArray(respond)) {
+        throw new Error(`${where} must be a mapping`);
+    }
+    if (respond.file !== undefined && respond.body !== undefined) {
+        throw new Error(`${where} has both a file and a body`);
+    }
+
+    const status = respond.status === undefined ? 200 : Number(respond.status);
+    if (!Number.isInteger(status) || status < 200 || status > 599) {
+        throw new Error(`${where} has an invalid status "${respond.status}"`);
+    }
+
+    let file;
+    let body;
+    let contentType;
+    if (respond.file !== undefined) {
+        file = path.resolve(baseDir, String(respond.file));
+        contentType = mime.contentType(path.extname(file)) || 'application/octet-stream';
+    } else if (respond.body !== undefined && typeof respond.body === 'object') {
+        body = Buffer.from(JSON.stringify(respond.body));
+        contentType = 'application/json; charset=utf-8';
+    } else {
+        body = Buffer.from(respond.body === undefined || respond.body === null ? '' : String(respond.body));
+        contentType = 'text/plain; charset=utf-8';
+    }
+
+    const headers = Object.entries(respond.headers || {}).map(([name, value]) => [name, String(value)]);
+    if (!headers.some(([name]) => name.toLowerCase() === 'content-type') && (file || body.length)) {
+        headers.unshift(['Content-Type', contentType]);
+    }
+    return { status, rawHeaders: headers.flat(), file, body };
+}
+
+function compileRule(rule, number, baseDir) {
+    const where = `rule ${number}`;
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        throw new Error(`${where} must be a mapping`);
+    }
+
+    const match = rule.match || {};
+    const compiled = {
+        number,
+        methods: match.method === undefined ? null : [].concat(match.method).map(m => String(m).toUpperCase()),
+        path: globToRegExp(match.path === undefined ? '**' : String(match.path)),
+        headers: Object.entries(match.headers || {}).map(([name, value]) => [name.toLowerCase(), globToRegExp(String(value), '.*')]),
+        rewrite: rule.rewrite === undefined ? null : String(rule.rewrite),
+        requestHeaders: rule.request_headers && compileHeaderEdits(rule.request_headers, `${where} request_headers`),
+        responseHeaders: rule.response_headers && compileHeaderEdits(rule.response_headers, `${where} response_headers`),
+        cors: rule.cors ? compileCors(rule.cors, `${where} cors`) : null,
+        respond: rule.respond ? compileRespond(rule.respond, `${where} respond`, baseDir) : null,
+        faults: rule.faults ? compileFaults(rule.faults, `${where} faults`) : null,
+    };
+
+    if (compiled.rewrite !== null && !compiled.rewrite.startsWith('/')) {
+        throw new Error(`${where} rewrite must start with /`);
+    }
+    if (compiled.rewrite !== null && compiled.respond) {
+        throw new Error(`${where} cannot both rewrite and respond`);
+    }
+    const actions = [compiled.requestHeaders, compiled.responseHeaders, compiled.cors, compiled.respond, compiled.faults];
+    if (compiled.rewrite === null && !actions.some(Boolean)) {
+        throw new Error(`${where} does nothing: give it respond, rewrite, request_headers, response_headers, cors or faults`);
+    }
+    return compiled;
+}
+
+function loadRules(file) {
+    let config;
+    try {
+        config = YAML.parse(fs.readFileSync(file, 'utf8')) || {};
+    } catch (err) {
+        throw new Error(`Could not read ${file}: ${err.message}`);
+    }
+    if (!Array.isArray(config.rules)) {
+        throw new Error(`${file} has no "rules" list`);
+    }
+
+    try {
+        return config.rules.map((rule, i) => compileRule(rule, i + 1, path.dirname(file)));
+    } catch (err) {
+        throw new Error(`${file}: ${err.message}`);
+    }
+}
+
+// --- CORS ---
+// The request's Origin is echoed back when allowed, so credentialed requests
+// work too. Preflights echo the method and headers they ask for.
+function corsHeaders(cors, origin, requestHeaders, preflight) {
+    const rawHeaders = ['Access-Control-Allow-Origin', origin];
+    if (cors.credentials) {
+        rawHeaders.push('Access-Control-Allow-Credentials', 'true');
+    }
+    if (preflight) {
+        rawHeaders.push('Access-Control-Allow-Methods', headerValue(requestHeaders, 'access-control-request-method'));
+        const allowHeaders = headerValue(requestHeaders, 'access-control-request-headers');
+        if (allowHeaders) {
+            rawHeaders.push('Access-Control-Allow-Headers', allowHeaders);
+        }
+        rawHeaders.push('Access-Control-Max-Age', String(cors.maxAge));
+    }
+    return rawHeaders;
+}
+
+function addCors(rawHeaders, added) {
+    const vary = headerValue(rawHeaders, 'vary');
+    const replaced = added.filter((_, i) => i % 2 === 0).map(name => name.toLowerCase());
+    const edited = removeHeaders(rawHeaders, [...replaced, 'access-control-allow-credentials', 'vary']);
+    return [...edited, ...added, 'Vary', vary && vary !== '*' ? `${vary}, Origin` : vary || 'Origin'];
+}
+
+// --- Rule set ---
+// `apply({ method, path, rawHeaders })` returns what to do with a request:
+// { path, rawHeaders } to send upstream, or a `stub` response { status,
+// rawHeaders, file | body } to answer with instead, plus `editResponse` for
+// the headers of whichever response goes back, the `faults` to inject (see
+// faults.js) and the numbers of the rules that applied. `onReload(count)` and `onError(err)` report reloads.
+function createRules(file, { onReload, onError } = {}) {
+    file = path.resolve(file);
+    let rules = loadRules(file);
+
+    // Polls rather than fs.watch, which loses track of files editors replace
+    fs.watchFile(file, { interval: 1000 }, (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) return;
+        try {
+            rules = loadRules(file);
+            onReload?.(rules.length);
+        } catch (err) {
+            onError?.(err);
+        }
+    }).unref();
+
+    function matches(rule, method, pathname, rawHeaders) {
+        if (rule.methods && !rule.methods.includes(method)) {
+            return null;
+        }
+        const captures = rule.path.exec(pathname);
+        if (!captures) {
+            return null;
+        }
+        for (const [name, pattern] of rule.headers) {
+            const value = headerValue(rawHeaders, name);
+            if (value === undefined || !pattern.test(value)) {
+                return null;
+            }
+        }
+        return captures;
+    }
+
+    function apply({ method, path: requestPath, rawHeaders }) {
+        const url = new URL(requestPath, 'http://localhost');
+        let pathname = url.pathname;
+        let search = url.search;
+        const responseEdits = [];
+        const applied = [];
+        let faults = null;
+        let rewritten = false;
+
+        // An untouched path goes upstream exactly as the visitor sent it
+        const result = (stub = null) => ({
+            path: rewritten ? pathname + search : requestPath,
+            rawHeaders,
+            stub,
+            rules: applied,
+            faults,
+            editResponse: (headers) => responseEdits.reduce((edited, edit) => edit(edited), headers),
+        });
+
+        for (const rule of rules) {
+            const captures = matches(rule, method, pathname, rawHeaders);
+            if (!captures) continue;
+            applied.push(rule.number);
+            faults = mergeFaults(faults, rule.faults);
+
+            const origin = headerValue(rawHeaders, 'origin');
+            if (rule.cors && origin && (!rule.cors.origins || rule.cors.origins.includes(origin))) {
+                const preflight = method === 'OPTIONS' && headerValue(rawHeaders, 'access-control-request-method') !== undefined;
+                const added = corsHeaders(rule.cors, origin, rawHeaders, preflight);
+                responseEdits.push(headers => addCors(headers, added));
+                if (preflight) {
+                    return result({ status: 204, rawHeaders: [], body: Buffer.alloc(0) });
+                }
+            }
+
+            if (rule.requestHeaders) {
+                rawHeaders = editHeaders(rawHeaders, rule.requestHeaders);
+            }
+            if (rule.responseHeaders) {
+                responseEdits.push(headers => editHeaders(headers, rule.responseHeaders));
+            }
+            if (rule.rewrite !== null) {
+                const target = new URL(rule.rewrite.replace(/\$(\d)/g, (_, n) => captures[n] ?? ''), 'http://localhost');
+                pathname = target.pathname;
+                search = target.search || search;
+                rewritten = true;
+            }
+            if (rule.respond) {
+                return result(rule.respond);
+            }
+        }
+        return result();
+    }
+
+    return {
+        file,
+        get count() {
+            return rules.length;
+        },
+        apply,
+    };
+}
+
+module.exports = { createRules, globToRegExp };
@@ -3,18 +3,28 @@ const express = require('express');
 const http = require('http');
 const fs = require('fs');
 const https = require('https');
+const http2 = require('http2');
+const net = require('net');
+const os = require('os');
 const { WebSocketServer } = require('ws');
-const multer = require('multer');
-const { randomUUID, randomBytes } = require('crypto');
-const mysql = require('mysql2/promise');
+const { randomUUID, randomBytes, randomInt, createHmac, scrypt, scryptSync, timingSafeEqual } = require('crypto');
+const { promisify } = require('util');
 const path = require('path');
+const { PROTOCOL_VERSION, ERROR_CODE, createMultiplexer, stripHopByHopHeaders, isStreamingResponse } = require('./protocol');
+const { createDomainManager } = require('./domains');
+const { createStorage } = require('./storage');
+const { createRegistry } = require('./registry');
+const { createRequestLog } = require('./request-log');
+const { createDashboard } = require('./dashboard');
+const { createMetrics } = require('./metrics');
+const { createTokenBucket, createConcurrencyLimit } = require('./limits');
+const { createLoginGate, identityHeaders } = require('./login-gate');
 
 const app = express();
-const upload = multer();
+app.disable('x-powered-by'); // Responses carry only what the local app sent
 
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-app.use(upload.any());
+const api = express(); // REST API served next to the tunnel WebSocket
+api.disable('x-powered-by');
 
 // ===== Configuration from Environment Variables =====
 const CONFIG = {
@@ -22,33 +32,102 @@ const CONFIG = {
     SSL_CERT_PATH: process.env.SSL_CERT_PATH || '/etc/letsencrypt/live/api.comzy.io/fullchain.pem',
     SSL_KEY_PATH: process.env.SSL_KEY_PATH || '/etc/letsencrypt/live/api.comzy.io/privkey.pem',
     
-    // Database configuration
+    // Storage backend: mysql, sqlite or memory
+    STORAGE: process.env.STORAGE || 'mysql',
+    SQLITE_PATH: process.env.SQLITE_PATH || path.join(__dirname, 'comzy.db'),
+    // Tokens added as users at startup (handy for sqlite/memory instances)
+    USER_TOKENS: (process.env.USER_TOKENS || '').split(',').map(token => token.trim().toLowerCase()).filter(Boolean),
+    // Tokens whose dashboard connections see every user's tunnels
+    ADMIN_TOKENS: (process.env.ADMIN_TOKENS || '').split(',').map(token => token.trim().toLowerCase()).filter(Boolean),
+
+    // Database configuration (mysql storage)
     DB_HOST: process.env.DB_HOST || '127.0.0.1',
     DB_USER: process.env.DB_USER || 'root',
     DB_PASSWORD: process.env.DB_PASSWORD,
     DB_NAME: process.env.DB_NAME || 'comzy',
     DB_CONNECTION_LIMIT: parseInt(process.env.DB_CONNECTION_LIMIT) || 10,
+
+    // Request log: buffered and written in batches (see request-log.js)
+    REQUEST_LOG_BATCH_SIZE: parseInt(process.env.REQUEST_LOG_BATCH_SIZE) || 100,
+    REQUEST_LOG_FLUSH_INTERVAL: parseInt(process.env.REQUEST_LOG_FLUSH_INTERVAL) || 2000,
+    REQUEST_LOG_MAX_BUFFER: parseInt(process.env.REQUEST_LOG_MAX_BUFFER) || 10000,
+    // Rows older than this are folded into hourly rollups; 0 keeps every row
+    REQUEST_LOG_RETENTION_DAYS: parseInt(process.env.REQUEST_LOG_RETENTION_DAYS ?? 30),
+    // Hourly rollups older than this are deleted; 0 keeps them forever
+    REQUEST_ROLLUP_RETENTION_DAYS: parseInt(process.env.REQUEST_ROLLUP_RETENTION_DAYS ?? 365),
     
     // Server ports
     HTTP_PORT: parseInt(process.env.HTTP_PORT) || 8190,
+    HTTPS_PORT: parseInt(process.env.HTTPS_PORT) || 8443, // Tunnel traffic with per-domain certificates (SNI)
     WS_PORT: parseInt(process.env.WS_PORT) || 8191,
     ADMIN_WS_PORT: parseInt(process.env.ADMIN_WS_PORT) || 8192,
+    // Prometheus metrics: keep on an internal interface, or set METRICS_TOKEN
+    METRICS_PORT: parseInt(process.env.METRICS_PORT) || 8193,
+    METRICS_HOST: process.env.METRICS_HOST || '127.0.0.1',
+    METRICS_TOKEN: process.env.METRICS_TOKEN || '',
     
     // Domain configuration
     BASE_DOMAIN: process.env.BASE_DOMAIN || 'comzy.io',
     
-    // Limits
+    // Cluster: nodes share a tunnel registry and forward requests for aliases
+    // held elsewhere to each other's internal port
+    REGISTRY: process.env.REGISTRY || 'memory',
+    REDIS_URL: process.env.REDIS_URL || 'redis://127.0.0.1:6379',
+    NODE_ID: process.env.NODE_ID || `${os.hostname()}-${process.pid}`,
+    NODE_PORT: parseInt(process.env.NODE_PORT) || 8194,
+    NODE_ADDRESS: process.env.NODE_ADDRESS, // host:port other nodes reach NODE_PORT on
+    CLUSTER_SECRET: process.env.CLUSTER_SECRET,
+
+    // Limits (0 turns a limit off)
     MAX_ALIASES_PER_USER: parseInt(process.env.MAX_ALIASES_PER_USER) || 5,
+    MAX_ANONYMOUS_TUNNELS_PER_IP: parseInt(process.env.MAX_ANONYMOUS_TUNNELS_PER_IP ?? 3),
+    // Tunnel registrations per minute, counted per IP and per token
+    REGISTRATIONS_PER_MINUTE: parseInt(process.env.REGISTRATIONS_PER_MINUTE ?? 30),
+    // Proxied requests per alias: sustained rate, burst on top of it, in flight at once
+    REQUESTS_PER_SECOND: parseInt(process.env.REQUESTS_PER_SECOND ?? 100),
+    REQUEST_BURST: parseInt(process.env.REQUEST_BURST ?? 200),
+    MAX_CONCURRENT_REQUESTS: parseInt(process.env.MAX_CONCURRENT_REQUESTS ?? 50),
+    // Bytes per second across all of a user's tunnels (anonymous users per IP)
+    BANDWIDTH_PER_USER: parseInt(process.env.BANDWIDTH_PER_USER ?? 0),
+
+    // How long a proxied request may wait for the client's response headers
+    REQUEST_TIMEOUT: parseInt(process.env.REQUEST_TIMEOUT) || 30000,
+    // How long a disconnected client's tunnels are held for it to resume (0: not at all)
+    RESUME_GRACE_PERIOD: parseInt(process.env.RESUME_GRACE_PERIOD ?? 30000),
+
+    // OIDC login gates: how long a visitor stays signed in, and the key their
+    // session cookies are signed with. Nodes of a cluster need the same key;
+    // without one it is derived from CLUSTER_SECRET, or random per start.
+    LOGIN_SESSION_TTL: parseInt(process.env.LOGIN_SESSION_TTL) || 12 * 60 * 60 * 1000,
+    SESSION_SECRET: process.env.SESSION_SECRET,
+    // Let gates use http:// issuers on local or private addresses, for a mock
+    // identity provider when testing
+    OIDC_ALLOW_HTTP_ISSUERS: process.env.OIDC_ALLOW_HTTP_ISSUERS === 'true',
+
+    // Reverse proxies whose X-Forwarded-For is trusted for the visitor's IP
+    TRUSTED_PROXIES: (process.env.TRUSTED_PROXIES || '127.0.0.1/8,::1/128').split(',').filter(Boolean),
+
+    // Raw TCP tunnels: public ports are handed out from this range
+    TCP_HOST: process.env.TCP_HOST || process.env.BASE_DOMAIN || 'comzy.io',
+    TCP_PORT_MIN: parseInt(process.env.TCP_PORT_MIN) || 20000,
+    TCP_PORT_MAX: parseInt(process.env.TCP_PORT_MAX) || 20999,
+
+    // gRPC tunnels: HTTP/2 over TLS on a port of their own, so browsers on
+    // HTTPS_PORT keep getting the app over HTTP/1.1
+    GRPC_PORT: parseInt(process.env.GRPC_PORT) || 8444,
+    // The port visitors dial, if a load balancer maps it onto GRPC_PORT
+    GRPC_PUBLIC_PORT: parseInt(process.env.GRPC_PUBLIC_PORT) || parseInt(process.env.GRPC_PORT) || 8444,
     
     // ACME challenge path
     ACME_CHALLENGE_PATH: process.env.ACME_CHALLENGE_PATH || path.join(__dirname, '.well-known', 'acme-challenge'),
-};
 
-// Validate required environment variables
-if (!CONFIG.DB_PASSWORD) {
-    console.error('ERROR: DB_PASSWORD environment variable is required');
-    process.exit(1);
-}
+    // Certificates for custom domains (Pebble's directory URL works for testing)
+    ACME_DIRECTORY_URL: process.env.ACME_DIRECTORY_URL || 'https://acme-v02.api.letsencrypt.org/directory',
+    ACME_EMAIL: process.env.ACME_EMAIL || '',
+    ACME_ACCOUNT_KEY_PATH: process.env.ACME_ACCOUNT_KEY_PATH || path.join(__dirname, 'acme-account.pem'),
+    // Port ownership checks use to reach a custom domain over plain HTTP
+    DOMAIN_VERIFY_HTTP_PORT: parseInt(process.env.DOMAIN_VERIFY_HTTP_PORT) || 80,
+};
 
 // ===== SSL Configuration =====
 let serverOptions;
@@ -64,6 +143,8 @@ try {
 }
 
 // ===== Custom Domain Mapping (Load from environment or file) =====
+// Static mappings from CUSTOM_DOMAINS; domains users add themselves live in
+// the custom_domains table (see domains.js)
 const customDomainToAlias = new Map();
 
 // Load custom domains from environment variable (format: domain1:alias1,domain2:alias2)
@@ -78,37 +159,129 @@ if (process.env.CUSTOM_DOMAINS) {
 }
 
 // ===== Server Initialization =====
-const wsServer = https.createServer(serverOptions);
+const wsServer = https.createServer(serverOptions, api);
 const adminWSServer = https.createServer(serverOptions);
 
-// ===== Database Pool =====
-const dbPool = mysql.createPool({
-    host: CONFIG.DB_HOST,
-    user: CONFIG.DB_USER,
-    password: CONFIG.DB_PASSWORD,
-    database: CONFIG.DB_NAME,
-    waitForConnections: true,
-    connectionLimit: CONFIG.DB_CONNECTION_LIMIT,
+// ===== Metrics =====
+// Declared before storage so every storage call is timed
+const metrics = createMetrics({
+    activeTunnels: () => {
+        const counts = { http: 0, tcp: 0, grpc: 0 };
+        for (const tunnel of tunnels.values()) {
+            counts[tunnel.proto]++;
+        }
+        return counts;
+    },
+    connectedClients: () => wss.clients.size,
+    registeredUsers: () => storage.countUsers(),
+});
+
+const metricsServer = http.createServer(async (req, res) => {
+    if (CONFIG.METRICS_TOKEN && req.headers.authorization !== `Bearer ${CONFIG.METRICS_TOKEN}`) {
+        res.writeHead(401, { 'Content-Type': 'text/plain' });
+        return res.end('Unauthorized\n');
+    }
+    if (req.method !== 'GET' || new URL(req.url, 'http://localhost').pathname !== '/metrics') {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        return res.end('Not found\n');
+    }
+    try {
+        const body = await metrics.registry.metrics();
+        res.writeHead(200, { 'Content-Type': metrics.registry.contentType });
+        res.end(body);
+    } catch (err) {
+        console.error('[METRICS ERROR]', err);
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end('Internal server error\n');
+    }
+});
+
+// ===== Storage =====
+let storage;
+try {
+    storage = metrics.instrumentStorage(createStorage(CONFIG.STORAGE, {
+        host: CONFIG.DB_HOST,
+        user: CONFIG.DB_USER,
+        password: CONFIG.DB_PASSWORD,
+        database: CONFIG.DB_NAME,
+        connectionLimit: CONFIG.DB_CONNECTION_LIMIT,
+        filename: CONFIG.SQLITE_PATH,
+    }));
+} catch (error) {
+    console.error('ERROR:', error.message);
+    process.exit(1);
+}
+
+const requestLog = createRequestLog({
+    storage,
+    batchSize: CONFIG.REQUEST_LOG_BATCH_SIZE,
+    flushInterval: CONFIG.REQUEST_LOG_FLUSH_INTERVAL,
+    maxBuffer: CONFIG.REQUEST_LOG_MAX_BUFFER,
+    retentionDays: CONFIG.REQUEST_LOG_RETENTION_DAYS,
+    rollupRetentionDays: CONFIG.REQUEST_ROLLUP_RETENTION_DAYS,
+});
+
+// ===== Tunnel Registry =====
+let registry;
+try {
+    if (CONFIG.REGISTRY !== 'memory' && !CONFIG.CLUSTER_SECRET) {
+        throw new Error('CLUSTER_SECRET environment variable is required for a shared registry');
+    }
+    registry = createRegistry(CONFIG.REGISTRY, {
+        nodeId: CONFIG.NODE_ID,
+        address: CONFIG.NODE_ADDRESS || `${os.hostname()}:${CONFIG.NODE_PORT}`,
+        url: CONFIG.REDIS_URL,
+    });
+} catch (error) {
+    console.error('ERROR:', error.message);
+    process.exit(1);
+}
+
+const registryStarted = (async () => {
+    try {
+        await registry.start();
+        console.log(`✓ Registry ready (${CONFIG.REGISTRY}, node ${CONFIG.NODE_ID})`);
+    } catch (error) {
+        console.error(`ERROR: Registry (${CONFIG.REGISTRY}) failed to start:`, error.message);
+        process.exit(1);
+    }
+})();
+
+const domainManager = createDomainManager({
+    storage,
+    registry,
+    baseDomain: CONFIG.BASE_DOMAIN,
+    defaultCertificate: serverOptions,
+    acmeDirectoryUrl: CONFIG.ACME_DIRECTORY_URL,
+    acmeEmail: CONFIG.ACME_EMAIL,
+    acmeAccountKeyPath: CONFIG.ACME_ACCOUNT_KEY_PATH,
+    verifyHttpPort: CONFIG.DOMAIN_VERIFY_HTTP_PORT,
 });
 
-// Test database connection on startup
+// Test the storage backend on startup
 (async () => {
     try {
-        const connection = await dbPool.getConnection();
-        console.log('✓ Database connection successful');
-        connection.release();
+        await storage.init();
+        for (const token of CONFIG.USER_TOKENS) {
+            await storage.addUser(token);
+        }
+        console.log(`✓ Storage ready (${CONFIG.STORAGE})`);
+        requestLog.start();
+        // Certificate orders need the registry's lock
+        registryStarted.then(() => domainManager.start());
     } catch (error) {
-        console.error('ERROR: Database connection failed:', error.message);
+        console.error(`ERROR: Storage (${CONFIG.STORAGE}) failed to start:`, error.message);
         process.exit(1);
     }
 })();
 
 const server = http.createServer(app);
+const tlsServer = https.createServer({ ...serverOptions, SNICallback: domainManager.sniCallback }, app);
 const wss = new WebSocketServer({ server: wsServer });
-const adminWSS = new WebSocketServer({ server: adminWSServer });
 
 // ===== In-Memory Storage =====
 const clients = new Map(); // Map<UUID, ws>
+const tunnels = new Map(); // Map<UUID, { name, userId, owner, anonymous, address, proto, port, policy, tcpServer, resumeToken, waiting, graceTimer }>
 const aliasToUUID = new Map(); // Map<alias, UUID>
 const uuidToAlias = new Map(); // Map<UUID, alias>
 const userIdToAliases = new Map(); // Map<userId, Set<alias>>
@@ -127,107 +300,666 @@ function shortAlias() {
     return alias;
 }
 
-// ===== Dashboard WebSocket =====
-const dashboardClients = new Set();
+// ===== Reserved Subdomains =====
+// Logged-in users may claim a fixed subdomain instead of a generated alias.
+// A claim is a user_aliases row for that alias: rows made by `comzy reserve`
+// have port 0, ones made by `--subdomain` remember the port they came from.
+const SUBDOMAIN_PATTERN = /^[a-z0-9][a-z0-9-]{1,61}[a-z0-9]$/;
+const GENERATED_ALIAS_PATTERN = new RegExp(`^(${PREFIXES.join('|')})-[0-9a-f]{12}$`);
+const RESERVED_SUBDOMAINS = new Set([
+    'www', 'api', 'app', 'admin', 'dashboard', 'status', 'docs', 'blog', 'help', 'support',
+    'login', 'auth', 'account', 'billing', 'mail', 'smtp', 'imap', 'pop', 'ftp', 'ns1', 'ns2',
+    'cdn', 'static', 'assets', 'comzy', 'tunnel', 'localhost',
+]);
+
+// Returns an error message for names that cannot be claimed, otherwise null
+function validateSubdomain(name) {
+    if (typeof name !== 'string' || !SUBDOMAIN_PATTERN.test(name)) {
+        return 'Subdomains must be 3-63 lowercase letters, digits or hyphens, and cannot start or end with a hyphen';
+    }
+    if (RESERVED_SUBDOMAINS.has(name)) {
+        return `"${name}" is a reserved word and cannot be used as a subdomain`;
+    }
+    if (GENERATED_ALIAS_PATTERN.test(name)) {
+        return `"${name}" looks like a generated alias, please choose another name`;
+    }
+    return null;
+}
 
-adminWSS.on('connection', (ws) => {
-    console.log('[DASHBOARD] Client connected');
-    dashboardClients.add(ws);
+// Claims `name` for the user (or confirms they already hold it). Resolves to
+// an error message when it belongs to someone else, otherwise null.
+async function claimSubdomain(userId, name, port) {
+    const conflict = `Subdomain "${name}" is already taken by another account`;
 
-    ws.on('close', () => {
-        console.log('[DASHBOARD] Client disconnected');
-        dashboardClients.delete(ws);
-    });
+    const owner = await storage.getAliasOwner(name);
+    if (owner !== null) {
+        return owner === userId ? null : conflict;
+    }
+    if (aliasToUUID.has(name)) {
+        return conflict;
+    }
 
-    sendActiveUrlsToClient(ws);
-});
+    try {
+        await storage.createAlias(userId, name, port);
+    } catch (err) {
+        if (err.code === 'DUPLICATE') {
+            return conflict; // Claimed concurrently
+        }
+        throw err;
+    }
 
-function getCurrentActiveUrlsPerUser() {
-    const data = {};
+    console.log(`[DB] Subdomain reserved: ${name} for ${userId}`);
+    return null;
+}
 
-    for (const [userId, aliases] of userIdToAliases.entries()) {
-        const active = [...aliases].filter(alias => {
-            const uuid = aliasToUUID.get(alias);
-            const client = clients.get(uuid);
-            return client && client.readyState === 1;
-        }).map(alias => `https://${alias}.${CONFIG.BASE_DOMAIN}/`);
+// ===== Access Policies (Basic Auth / IP Allowlist) =====
+// A tunnel may require a username/password and/or restrict visitors to a
+// list of addresses and CIDR ranges. Both are checked here, at the edge,
+// before anything reaches the client. Passwords are only ever kept as scrypt
+// hashes; registered users' policies are stored per alias in alias_policies.
+function hashPassword(password) {
+    const salt = randomBytes(16);
+    return `scrypt$${salt.toString('hex')}$${scryptSync(password, salt, 32).toString('hex')}`;
+}
+
+const scryptAsync = promisify(scrypt);
+
+async function verifyPassword(password, stored) {
+    const [, salt, hash] = stored.split('$');
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scryptAsync(password, Buffer.from(salt, 'hex'), expected.length);
+    return timingSafeEqual(actual, expected);
+}
+
+function normalizeAddress(address) {
+    return address?.startsWith('::ffff:') ? address.slice(7) : address;
+}
 
-        if (active.length > 0) {
-            data[userId] = active;
+// Builds a BlockList from "203.0.113.4", "10.0.0.0/8" or IPv6 entries
+function buildAddressList(entries) {
+    const list = new net.BlockList();
+    for (const entry of entries) {
+        const [address, prefix] = entry.trim().split('/');
+        const family = net.isIP(address);
+        if (!family) {
+            throw new Error(`Invalid IP address or range: ${entry}`);
         }
+        const type = family === 6 ? 'ipv6' : 'ipv4';
+        const maxPrefix = family === 6 ? 128 : 32;
+        const bits = prefix === undefined ? maxPrefix : Number(prefix);
+        if (!Number.isInteger(bits) || bits < 0 || bits > maxPrefix) {
+            throw new Error(`Invalid IP address or range: ${entry}`);
+        }
+        list.addSubnet(address, bits, type);
     }
+    return list;
+}
 
-    return data;
+function addressInList(list, address) {
+    address = normalizeAddress(address);
+    const family = net.isIP(address);
+    return family !== 0 && list.check(address, family === 6 ? 'ipv6' : 'ipv4');
 }
 
-function broadcastActiveUrls() {
-    const payload = {
-        type: 'active_urls',
-        data: getCurrentActiveUrlsPerUser(),
-    };
+const trustedProxies = buildAddressList(CONFIG.TRUSTED_PROXIES);
+
+// The visitor's address: the socket peer, or the last X-Forwarded-For hop
+// when the peer is one of our own reverse proxies. Requests forwarded by
+// another node carry the address that node saw.
+function visitorAddress(req) {
+    if (req.fromNode) {
+        return req.fromNode.visitor;
+    }
+    const peer = normalizeAddress(req.socket.remoteAddress);
+    const forwarded = req.headers['x-forwarded-for'];
+    if (forwarded && addressInList(trustedProxies, peer)) {
+        return normalizeAddress(forwarded.split(',').pop().trim());
+    }
+    return peer;
+}
 
-    const message = JSON.stringify(payload);
+// The scheme the visitor used, on the same terms as visitorAddress
+function visitorProtocol(req) {
+    if (req.fromNode) {
+        return req.fromNode.protocol;
+    }
+    const forwarded = req.headers['x-forwarded-proto'];
+    if (forwarded && addressInList(trustedProxies, normalizeAddress(req.socket.remoteAddress))) {
+        return forwarded.split(',').pop().trim().toLowerCase();
+    }
+    return req.socket.encrypted ? 'https' : 'http';
+}
+
+// The id a request is logged under and that the local app sees. A visitor's
+// own X-Request-Id is kept when it is a plain token that fits the request log;
+// anything else is replaced by a fresh UUID, so no visitor can make the log's
+// INSERT fail.
+const REQUEST_ID_PATTERN = /^[\w.:\/+=-]{1,128}$/;
 
-    for (const ws of dashboardClients) {
-        if (ws.readyState === 1) {
-            ws.send(message);
+function requestIdFor(req) {
+    const requestId = req.headers['x-request-id'];
+    return typeof requestId === 'string' && REQUEST_ID_PATTERN.test(requestId) ? requestId : randomUUID();
+}
+
+// `rawHeaders` carrying exactly `requestId` as X-Request-Id
+function withRequestId(rawHeaders, requestId) {
+    const headers = [];
+    for (let i = 0; i < rawHeaders.length; i += 2) {
+        if (rawHeaders[i].toLowerCase() === 'x-request-id') {
+            if (rawHeaders[i + 1] === requestId) {
+                return rawHeaders;
+            }
+            continue;
         }
+        headers.push(rawHeaders[i], rawHeaders[i + 1]);
     }
+    headers.push('X-Request-Id', requestId);
+    return headers;
 }
 
-function sendActiveUrlsToClient(ws) {
-    const payload = {
-        type: 'active_urls',
-        data: getCurrentActiveUrlsPerUser(),
+const loginGate = createLoginGate({
+    secret: CONFIG.SESSION_SECRET
+        || (CONFIG.CLUSTER_SECRET && createHmac('sha256', CONFIG.CLUSTER_SECRET).update('comzy login sessions').digest())
+        || randomBytes(32),
+    sessionTtl: CONFIG.LOGIN_SESSION_TTL,
+    allowHttpIssuers: CONFIG.OIDC_ALLOW_HTTP_ISSUERS,
+});
+
+// Reads the policy fields of a register message. `undefined` keeps whatever
+// is stored for the alias, `null`/`false` clears it.
+function parsePolicyRequest(data) {
+    const request = {};
+
+    if (data.basicAuth === null || data.basicAuth === false) {
+        request.basicAuth = null;
+    } else if (data.basicAuth !== undefined) {
+        const separator = String(data.basicAuth).indexOf(':');
+        const username = String(data.basicAuth).slice(0, separator);
+        const password = String(data.basicAuth).slice(separator + 1);
+        if (separator < 1 || !password) {
+            throw new Error('Basic auth must be given as user:password');
+        }
+        request.basicAuth = { username, hash: hashPassword(password) };
+    }
+
+    if (data.allowIps === null || data.allowIps === false) {
+        request.allowIps = null;
+    } else if (data.allowIps !== undefined) {
+        const entries = [].concat(data.allowIps).map(String).map(entry => entry.trim()).filter(Boolean);
+        buildAddressList(entries); // Validate before anything is stored
+        request.allowIps = entries.length ? entries : null;
+    }
+
+    // Not stored with the alias: it holds the client secret, so clients send it each time
+    if (data.oidc) {
+        request.oidc = loginGate.compile(data.oidc);
+    }
+
+    return request;
+}
+
+function compilePolicy({ basicAuth = null, allowIps = null, oidc = null }) {
+    if (!basicAuth && !allowIps && !oidc) {
+        return null;
+    }
+    return {
+        basicAuth,
+        allowIps,
+        oidc,
+        allowList: allowIps && buildAddressList(allowIps),
+        verified: new Set(), // Authorization headers already checked against the hash
     };
-    ws.send(JSON.stringify(payload));
 }
 
-// Broadcast active URLs every 5 seconds
-setInterval(broadcastActiveUrls, 5000);
+async function resolveAccessPolicy(alias, userId, request) {
+    const stored = await storage.getAliasPolicy(alias);
+    const policy = {
+        basicAuth: stored?.basicAuthHash ? { username: stored.basicAuthUser, hash: stored.basicAuthHash } : null,
+        allowIps: stored?.allowIps || null,
+        ...request,
+    };
+
+    if ('basicAuth' in request || 'allowIps' in request) {
+        await storage.saveAliasPolicy(alias, userId, {
+            basicAuthUser: policy.basicAuth?.username,
+            basicAuthHash: policy.basicAuth?.hash,
+            allowIps: policy.allowIps,
+        });
+    }
+
+    return policy;
+}
+
+function describePolicy(policy) {
+    return policy
+        ? {
+            basicAuth: policy.basicAuth?.username || null,
+            allowIps: policy.allowIps,
+            login: policy.oidc && {
+                issuer: policy.oidc.issuer,
+                allow: [...policy.oidc.allowEmailDomains.map(domain => `@${domain}`), ...policy.oidc.allowEmails],
+            },
+        }
+        : null;
+}
+
+// Resolves to null when the visitor may pass, otherwise the response to send
+async function checkAccess(policy, address, authorization) {
+    if (!policy) {
+        return null;
+    }
+
+    if (policy.allowList && !addressInList(policy.allowList, address)) {
+        return { status: 403, error: 'Forbidden' };
+    }
+
+    if (policy.basicAuth && !policy.verified.has(authorization)) {
+        const [scheme, encoded] = (authorization || '').split(' ');
+        const decoded = scheme?.toLowerCase() === 'basic' ? Buffer.from(encoded || '', 'base64').toString() : '';
+        const separator = decoded.indexOf(':');
+        const valid = separator > 0
+            && decoded.slice(0, separator) === policy.basicAuth.username
+            && await verifyPassword(decoded.slice(separator + 1), policy.basicAuth.hash);
+
+        if (!valid) {
+            return {
+                status: 401,
+                error: 'Authentication required',
+                headers: { 'WWW-Authenticate': 'Basic realm="comzy", charset="UTF-8"' },
+            };
+        }
+        if (policy.verified.size >= 100) {
+            policy.verified.clear();
+        }
+        policy.verified.add(authorization);
+    }
+
+    return null;
+}
+
+// ===== Rate Limits =====
+// Requests are limited per alias, bandwidth per owner: the user, or the
+// client's IP for anonymous tunnels
+const requestRate = createTokenBucket({
+    rate: CONFIG.REQUESTS_PER_SECOND,
+    burst: Math.max(CONFIG.REQUEST_BURST, CONFIG.REQUESTS_PER_SECOND),
+});
+const inFlight = createConcurrencyLimit(CONFIG.MAX_CONCURRENT_REQUESTS);
+const bandwidth = createTokenBucket({ rate: CONFIG.BANDWIDTH_PER_USER, burst: CONFIG.BANDWIDTH_PER_USER * 10 });
+const registrationRate = createTokenBucket({
+    rate: CONFIG.REGISTRATIONS_PER_MINUTE / 60,
+    burst: CONFIG.REGISTRATIONS_PER_MINUTE,
+});
+
+// Why a new request to the tunnel has to wait, or null
+function requestLimit(alias, tunnel) {
+    let retryAfter = bandwidth.wait(tunnel.owner);
+    if (retryAfter) {
+        return { retryAfter, error: 'Bandwidth limit exceeded' };
+    }
+    retryAfter = requestRate.take(alias);
+    if (retryAfter) {
+        return { retryAfter, error: 'Too many requests' };
+    }
+    return null;
+}
+
+// requestLimit plus a slot among the tunnel's concurrent requests, to give
+// back with inFlight.release. The slot is taken first, so a request refused
+// for concurrency does not use up a rate token as well.
+function admitRequest(alias, tunnel) {
+    if (!inFlight.acquire(alias)) {
+        return { retryAfter: 1, error: 'Too many concurrent requests' };
+    }
+    const limited = requestLimit(alias, tunnel);
+    if (limited) {
+        inFlight.release(alias);
+    }
+    return limited;
+}
+
+function countTraffic(alias, tunnel, received, sent) {
+    metrics.countBytes(alias, received, sent);
+    bandwidth.spend(tunnel.owner, received + sent);
+}
+
+// Why a client at `address` may not register another tunnel now, or null
+function registrationLimit(userId, address) {
+    const retryAfter = Math.max(
+        registrationRate.take(`ip:${address}`),
+        userId === 'anonymous' ? 0 : registrationRate.take(`user:${userId}`)
+    );
+    return retryAfter ? { retryAfter, error: `Too many tunnel registrations, try again in ${retryAfter}s` } : null;
+}
+
+// ===== Dashboard =====
+// Viewers authenticate with their token; ADMIN_TOKENS see every tunnel
+const dashboard = createDashboard({
+    server: adminWSServer,
+    authenticate: async (token) => {
+        if (CONFIG.ADMIN_TOKENS.includes(token)) {
+            return { userId: token, admin: true };
+        }
+        return (await storage.userExists(token)) ? { userId: token, admin: false } : null;
+    },
+});
+
+function tunnelUrl(alias, tunnel) {
+    if (tunnel.tcpServer) {
+        return `tcp://${CONFIG.TCP_HOST}:${tunnel.tcpServer.address().port}`;
+    }
+    return tunnel.proto === 'grpc'
+        ? `https://${alias}.${CONFIG.BASE_DOMAIN}:${CONFIG.GRPC_PUBLIC_PORT}/`
+        : `https://${alias}.${CONFIG.BASE_DOMAIN}/`;
+}
+
+// ===== Session Resumption =====
+// When a client's connection drops, its tunnels are held for
+// RESUME_GRACE_PERIOD instead of being closed: the alias stays taken, requests
+// wait for the client to come back, and a register message carrying the
+// tunnel's resume token takes it over again under the same alias. Once the
+// grace period is over the tunnel closes and waiting requests get a 503.
+const resumable = new Map(); // Map<resumeToken, UUID>
+
+function issueResumeToken(clientUUID) {
+    const tunnel = tunnels.get(clientUUID);
+    resumable.delete(tunnel.resumeToken);
+    tunnel.resumeToken = randomBytes(24).toString('base64url');
+    resumable.set(tunnel.resumeToken, clientUUID);
+    return tunnel.resumeToken;
+}
+
+// Resolves with the connection carrying the tunnel, once the client is back
+// if it is away; null if the tunnel is gone
+function connectedClient(clientUUID) {
+    const tunnel = tunnels.get(clientUUID);
+    if (tunnel?.waiting) {
+        return new Promise(resolve => tunnel.waiting.push(resolve));
+    }
+    return Promise.resolve(clients.get(clientUUID) || null);
+}
+
+function suspendTunnel(clientUUID) {
+    const tunnel = tunnels.get(clientUUID);
+    clients.delete(clientUUID);
+
+    if (!CONFIG.RESUME_GRACE_PERIOD) {
+        return closeTunnel(clientUUID);
+    }
+    console.log(`[RESUME] Holding ${uuidToAlias.get(clientUUID)} for ${CONFIG.RESUME_GRACE_PERIOD / 1000}s`);
+    tunnel.waiting = [];
+    tunnel.graceTimer = setTimeout(() => {
+        console.log(`[RESUME] ${uuidToAlias.get(clientUUID)} was not resumed, closing it`);
+        closeTunnel(clientUUID);
+    }, CONFIG.RESUME_GRACE_PERIOD);
+}
+
+// Moves a tunnel onto `ws`, whether it was waiting for its client or is still
+// attached to a connection the server has not seen drop yet
+function resumeTunnel(ws, resumeToken, userId) {
+    const clientUUID = resumable.get(resumeToken);
+    const tunnel = tunnels.get(clientUUID);
+    if (!tunnel || tunnel.userId !== userId) {
+        return null;
+    }
+
+    clearTimeout(tunnel.graceTimer);
+    clients.get(clientUUID)?._tunnelUUIDs.delete(clientUUID);
+    clients.set(clientUUID, ws);
+    ws._tunnelUUIDs.add(clientUUID);
+    tunnel.address = ws._address;
+
+    const waiting = tunnel.waiting || [];
+    tunnel.waiting = null;
+    tunnel.graceTimer = null;
+    for (const resolve of waiting) {
+        resolve(ws);
+    }
+
+    console.log(`[RESUME] ${uuidToAlias.get(clientUUID)} resumed${waiting.length ? `, delivering ${waiting.length} waiting requests` : ''}`);
+    return clientUUID;
+}
+
+function closeTunnel(clientUUID) {
+    const alias = uuidToAlias.get(clientUUID);
+    const tunnel = tunnels.get(clientUUID);
+    if (!tunnel) {
+        return;
+    }
+
+    clearTimeout(tunnel.graceTimer);
+    for (const resolve of tunnel.waiting || []) {
+        resolve(null);
+    }
+    resumable.delete(tunnel.resumeToken);
+    tunnel.tcpServer?.close();
+    dashboard.tunnelDisconnected(clientUUID);
+    clients.delete(clientUUID);
+    tunnels.delete(clientUUID);
+    uuidToAlias.delete(clientUUID);
+
+    // A reconnect may already have taken the alias over
+    if (aliasToUUID.get(alias) !== clientUUID) {
+        return;
+    }
+    aliasToUUID.delete(alias);
+    metrics.tunnelClosed(alias);
+    registry.release(alias).catch((err) => {
+        console.error(`[REGISTRY ERROR] Could not release ${alias}:`, err.message);
+    });
+
+    // Remove alias from user tracking
+    for (const [userId, aliases] of userIdToAliases.entries()) {
+        if (aliases.has(alias)) {
+            aliases.delete(alias);
+            if (aliases.size === 0) {
+                userIdToAliases.delete(userId);
+            }
+            break;
+        }
+    }
+}
+
+// The reply to a successful register message, also sent on resume
+function registeredMessage(clientUUID) {
+    const tunnel = tunnels.get(clientUUID);
+    const tcpPort = tunnel.tcpServer?.address().port;
+    return {
+        type: 'registered',
+        name: tunnel.name,
+        uuid: clientUUID,
+        alias: uuidToAlias.get(clientUUID),
+        protection: describePolicy(tunnel.policy),
+        resumeToken: issueResumeToken(clientUUID),
+        ...(tcpPort && { tcpHost: CONFIG.TCP_HOST, tcpPort }),
+        ...(tunnel.proto === 'grpc' && { grpcPort: CONFIG.GRPC_PUBLIC_PORT }),
+    };
+}
 
 // ===== WebSocket Connection Handling =====
-wss.on('connection', (ws) => {
+// One connection may carry several tunnels (e.g. from a config file): each
+// register message gets its own UUID and alias, and every stream opened on
+// the connection names the tunnel it belongs to.
+wss.on('connection', (ws, req) => {
     console.log('[WS] New connection established');
 
-    ws.on('message', async (msg) => {
+    ws._address = visitorAddress(req);
+    ws._mux = createMultiplexer(ws, { initiator: true });
+    ws._tunnelUUIDs = new Set();
+
+    ws.on('message', async (msg, isBinary) => {
         try {
+            if (isBinary) {
+                ws._mux.receive(msg);
+                return;
+            }
+
             const data = JSON.parse(msg.toString());
 
-            if (data.type === 'register' && data.userId && data.port) {
+            if (data.type === 'reserve' && data.userId) {
+                const userId = data.userId.trim().toLowerCase();
+                const subdomain = String(data.subdomain || '').trim().toLowerCase();
+                let message = validateSubdomain(subdomain);
+
+                try {
+                    if (!message && !(await storage.userExists(userId))) {
+                        message = 'Log in with "comzy login" to reserve a subdomain';
+                    }
+                    if (!message) {
+                        message = await claimSubdomain(userId, subdomain, 0);
+                    }
+                } catch (err) {
+                    console.error('[DB ERROR]', err);
+                    message = 'Internal server error while reserving the subdomain.';
+                }
+
+                ws.send(JSON.stringify(message
+                    ? { type: 'error', message }
+                    : { type: 'reserved', subdomain, url: `https://${subdomain}.${CONFIG.BASE_DOMAIN}` }));
+                return;
+            }
+
+            if (data.type === 'domain' && data.userId) {
+                const userId = data.userId.trim().toLowerCase();
+                try {
+                    ws.send(JSON.stringify({ type: 'domain', action: data.action, ...await runDomainAction(userId, data) }));
+                } catch (err) {
+                    if (!err.status) {
+                        console.error('[DOMAINS ERROR]', err);
+                    }
+                    ws.send(JSON.stringify({
+                        type: 'error',
+                        message: err.status ? err.message : 'Internal server error while managing the domain.'
+                    }));
+                }
+                return;
+            }
+
+            // `serve` tunnels (comzy serve) are answered by the client itself and have no port
+            if (data.type === 'register' && data.userId && (data.port || data.serve)) {
                 const clientUUID = randomUUID();
                 const userId = data.userId.trim().toLowerCase();
-                const port = data.port;
+                const port = data.serve ? 0 : data.port;
+                const subdomain = data.subdomain ? String(data.subdomain).trim().toLowerCase() : null;
                 let alias;
+                let policyRequest;
+                let policy;
+
+                // Clients flag the first registration after they reconnect
+                if (data.reconnect && !ws._reconnectCounted) {
+                    ws._reconnectCounted = true;
+                    metrics.reconnected();
+                }
+
+                // Picking up a tunnel held since the client's last connection
+                const resumedUUID = data.resume && resumeTunnel(ws, String(data.resume), userId);
+                if (resumedUUID) {
+                    tunnels.get(resumedUUID).name = data.name;
+                    ws.send(JSON.stringify({ ...registeredMessage(resumedUUID), resumed: true }));
+                    return;
+                }
 
                 try {
-                    // Check if user exists in users table
-                    const [userRows] = await dbPool.query(
-                        'SELECT 1 FROM users WHERE user_token = ?',
-                        [userId]
-                    );
+                    const version = data.version ?? 1;
+                    if (version !== PROTOCOL_VERSION) {
+                        const err = new Error(`This server speaks tunnel protocol version ${PROTOCOL_VERSION}, the client version ${version}: install a matching client`);
+                        err.code = ERROR_CODE.VERSION_UNSUPPORTED;
+                        throw err;
+                    }
+                    const invalid = subdomain && validateSubdomain(subdomain);
+                    if (invalid) {
+                        throw new Error(invalid);
+                    }
+                    policyRequest = parsePolicyRequest(data);
+                    if (policyRequest.oidc) {
+                        if (data.proto && data.proto !== 'http') {
+                            throw new Error('A login gate only works on HTTP tunnels');
+                        }
+                        // The server fetches the issuer a client names, so only for known users
+                        const known = userId !== 'anonymous' && await storage.userExists(userId).catch((err) => {
+                            console.error('[DB ERROR]', err);
+                            throw new Error('Internal server error while processing registration.');
+                        });
+                        if (!known) {
+                            throw new Error('Log in with "comzy login" to put a login gate on a tunnel');
+                        }
+                    }
+                    const limited = registrationLimit(userId, ws._address);
+                    if (limited) {
+                        const err = new Error(limited.error);
+                        err.code = ERROR_CODE.LIMIT_EXCEEDED;
+                        err.retryAfter = limited.retryAfter;
+                        throw err;
+                    }
+                    if (policyRequest.oidc) {
+                        // A mistyped issuer fails here rather than on the first visitor.
+                        // Why it failed stays in our log: it may describe our own network.
+                        await loginGate.discover(policyRequest.oidc.issuer).catch((err) => {
+                            console.warn(`[LOGIN] Discovery for ${userId} failed: ${err.message}`);
+                            throw new Error(`Could not load the OpenID configuration of ${policyRequest.oidc.issuer}`);
+                        });
+                    }
+                } catch (err) {
+                    metrics.registration('refused');
+                    ws.send(JSON.stringify({
+                        type: 'error',
+                        name: data.name,
+                        code: err.code,
+                        retryAfter: err.retryAfter,
+                        message: err.message
+                    }));
+                    return;
+                }
 
-                    if (userRows.length === 0) {
-                        console.warn(`[AUTH] User "${userId}" not found, generating temporary alias`);
+                let refusal;
+                let refusalCode;
+                let known;
+                try {
+                    // Check if user exists in users table
+                    known = await storage.userExists(userId);
+
+                    if (!known && userId !== 'anonymous') {
+                        refusal = 'Unknown token, log in again with "comzy login"';
+                        refusalCode = ERROR_CODE.AUTH_FAILED;
+                    } else if (!known && subdomain) {
+                        refusal = 'Log in with "comzy login" to use a reserved subdomain';
+                    } else if (!known && CONFIG.MAX_ANONYMOUS_TUNNELS_PER_IP
+                        && [...tunnels.values()].filter(t => t.anonymous && t.address === ws._address).length
+                            >= CONFIG.MAX_ANONYMOUS_TUNNELS_PER_IP) {
+                        refusal = `Anonymous clients may open ${CONFIG.MAX_ANONYMOUS_TUNNELS_PER_IP} tunnels per IP, log in with "comzy login" for more`;
+                        refusalCode = ERROR_CODE.LIMIT_EXCEEDED;
+                    } else if (!known) {
+                        console.warn('[AUTH] Anonymous client, generating temporary alias');
                         alias = shortAlias();
+                        policy = policyRequest;
                     } else {
                         if (!userIdToAliases.has(userId)) {
                             userIdToAliases.set(userId, new Set());
                         }
                         const userAliases = userIdToAliases.get(userId);
+                        // Tunnels open on this node and on every other one
+                        const openAliases = new Set([...userAliases, ...await registry.userAliases(userId)]);
 
-                        if (userAliases.size >= CONFIG.MAX_ALIASES_PER_USER) {
-                            alias = shortAlias();
-                            console.warn(`[LIMIT] User ${userId} reached alias limit, generating new: ${alias}`);
+                        if (subdomain) {
+                            if (openAliases.size >= CONFIG.MAX_ALIASES_PER_USER && !openAliases.has(subdomain)) {
+                                refusal = `You already have ${CONFIG.MAX_ALIASES_PER_USER} tunnels open, close one to use "${subdomain}"`;
+                                refusalCode = ERROR_CODE.LIMIT_EXCEEDED;
+                            } else {
+                                refusal = await claimSubdomain(userId, subdomain, port);
+                            }
+                            alias = subdomain;
                         } else {
                             // Check if alias already exists for this user
-                            const [aliasRows] = await dbPool.query(
-                                'SELECT alias FROM user_aliases WHERE user_id = ? AND port = ?',
-                                [userId, port]
-                            );
-
-                            if (aliasRows.length > 0) {
-                                alias = aliasRows[0].alias;
+                            // Only a local port identifies the same tunnel across runs
+                            // (port 0 rows are reserved subdomains)
+                            const existing = port ? await storage.findAliasByPort(userId, port) : null;
+
+                            // Taking over one's own open alias (a reconnect) is always allowed
+                            if (openAliases.size >= CONFIG.MAX_ALIASES_PER_USER && !openAliases.has(existing)) {
+                                refusal = `You already have ${CONFIG.MAX_ALIASES_PER_USER} tunnels open, close one to start another`;
+                                refusalCode = ERROR_CODE.LIMIT_EXCEEDED;
+                            } else if (existing) {
+                                alias = existing;
                                 console.log(`[DB] Found existing alias: ${alias}`);
                             } else {
                                 // Generate new alias and store it
@@ -235,157 +967,913 @@ wss.on('connection', (ws) => {
                                     alias = shortAlias();
                                 } while (aliasToUUID.has(alias));
 
-                                await dbPool.query(
-                                    'INSERT INTO user_aliases (user_id, alias, port) VALUES (?, ?, ?)',
-                                    [userId, alias, port]
-                                );
-
-                                console.log(`[DB] New alias created: ${alias}`);
+                                if (port) {
+                                    await storage.createAlias(userId, alias, port);
+                                    console.log(`[DB] New alias created: ${alias}`);
+                                }
+                            }
+                        }
+                        if (!refusal) {
+                            // A tunnel still held for a client that did not resume makes way
+                            const held = aliasToUUID.get(alias);
+                            if (held && tunnels.get(held)?.waiting) {
+                                closeTunnel(held);
                             }
+                            userAliases.add(alias);
+                            policy = await resolveAccessPolicy(alias, userId, policyRequest);
                         }
-                        userAliases.add(alias);
                     }
                 } catch (err) {
                     console.error('[DB ERROR]', err);
+                    metrics.registration('error');
                     ws.send(JSON.stringify({
                         type: 'error',
+                        name: data.name,
                         message: 'Internal server error while processing registration.'
                     }));
                     return;
                 }
 
+                if (refusal) {
+                    console.warn(`[REGISTER] Refused ${subdomain ? `"${subdomain}"` : `port ${port}`} for ${userId}: ${refusal}`);
+                    metrics.registration('refused');
+                    ws.send(JSON.stringify({
+                        type: 'error',
+                        name: data.name,
+                        code: refusalCode,
+                        message: refusal
+                    }));
+                    return;
+                }
+
+                const tunnel = {
+                    name: data.name,
+                    userId,
+                    owner: known ? `user:${userId}` : `ip:${ws._address}`,
+                    anonymous: !known,
+                    address: ws._address,
+                    proto: data.proto === 'tcp' || data.proto === 'grpc' ? data.proto : 'http',
+                    port,
+                    policy: compilePolicy(policy),
+                    tcpServer: null,
+                };
+
+                let tcpPort;
+                if (tunnel.proto === 'tcp') {
+                    try {
+                        tcpPort = await openTcpTunnel(ws, clientUUID, alias, tunnel);
+                    } catch (err) {
+                        console.error(`[TCP ERROR] Could not open a public port for ${alias}:`, err.message);
+                        metrics.registration('error');
+                        ws.send(JSON.stringify({
+                            type: 'error',
+                            name: data.name,
+                            message: 'No public TCP port available, please try again later.'
+                        }));
+                        return;
+                    }
+                }
+
                 // Final setup
                 clients.set(clientUUID, ws);
+                tunnels.set(clientUUID, tunnel);
                 aliasToUUID.set(alias, clientUUID);
                 uuidToAlias.set(clientUUID, alias);
-                ws._clientUUID = clientUUID;
-
-                console.log(`[REGISTERED] userId=${userId}, port=${port}, alias=${alias}`);
-
-                ws.send(JSON.stringify({
-                    type: 'registered',
-                    uuid: clientUUID,
-                    alias: alias
-                }));
+                ws._tunnelUUIDs.add(clientUUID);
+                registry.claim(alias, userId).catch((err) => {
+                    console.error(`[REGISTRY ERROR] Could not record ${alias}:`, err.message);
+                });
+                metrics.registration('registered');
+                dashboard.tunnelConnected(clientUUID, userId, {
+                    alias,
+                    name: tunnel.name,
+                    url: tunnelUrl(alias, tunnel),
+                    proto: tunnel.proto,
+                    port,
+                    connectedAt: new Date().toISOString(),
+                });
+
+                console.log(`[REGISTERED] userId=${userId}, port=${port}, alias=${alias}${tcpPort ? `, tcpPort=${tcpPort}` : ''}${tunnel.name ? `, name=${tunnel.name}` : ''}`);
+
+                ws.send(JSON.stringify(registeredMessage(clientUUID)));
             }
         } catch (err) {
             console.error('[WS ERROR] Invalid message:', err);
         }
     });
 
-    ws.on('close', () => {
+    ws.on('close', (code) => {
         console.log('[WS] Connection closed');
-        if (ws._clientUUID) {
-            const alias = uuidToAlias.get(ws._clientUUID);
-
-            clients.delete(ws._clientUUID);
-            aliasToUUID.delete(alias);
-            uuidToAlias.delete(ws._clientUUID);
-
-            // Remove alias from user tracking
-            for (const [userId, aliases] of userIdToAliases.entries()) {
-                if (aliases.has(alias)) {
-                    aliases.delete(alias);
-                    if (aliases.size === 0) {
-                        userIdToAliases.delete(userId);
-                    }
-                    break;
-                }
+        ws._mux.destroyAll();
+
+        // Clients that shut down close normally (1000); anything else may come
+        // back. Tunnels taken over by another connection are no longer listed.
+        for (const clientUUID of ws._tunnelUUIDs) {
+            if (code === 1000) {
+                closeTunnel(clientUUID);
+            } else {
+                suspendTunnel(clientUUID);
             }
         }
     });
 });
 
+// ===== Raw TCP Tunnels =====
+// A TCP tunnel gets its own public port. Every socket accepted there becomes
+// a stream on the client's connection and the client dials the local port.
+function listenOnFreePort(tcpServer) {
+    const size = CONFIG.TCP_PORT_MAX - CONFIG.TCP_PORT_MIN + 1;
+    const offset = randomInt(size); // Spread tunnels across the range
+    let attempt = 0;
+
+    return new Promise((resolve, reject) => {
+        const onError = (err) => {
+            if (err.code === 'EADDRINUSE' || err.code === 'EACCES') {
+                tryNext();
+            } else {
+                reject(err);
+            }
+        };
+
+        const tryNext = () => {
+            if (attempt >= size) {
+                return reject(new Error(`No free port in ${CONFIG.TCP_PORT_MIN}-${CONFIG.TCP_PORT_MAX}`));
+            }
+            const port = CONFIG.TCP_PORT_MIN + (offset + attempt++) % size;
+            tcpServer.once('error', onError);
+            tcpServer.listen(port, () => {
+                tcpServer.off('error', onError);
+                resolve(port);
+            });
+        };
+
+        tryNext();
+    });
+}
+
+async function openTcpTunnel(ws, clientUUID, alias, tunnel) {
+    const tcpServer = net.createServer(async (socket) => {
+        // Only the IP allowlist applies to raw TCP
+        if (tunnel.policy?.allowList && !addressInList(tunnel.policy.allowList, socket.remoteAddress)) {
+            console.warn(`[TCP] Rejected ${socket.remoteAddress} for ${alias}: not in allowlist`);
+            return socket.destroy();
+        }
+
+        if (bandwidth.wait(tunnel.owner)) {
+            console.warn(`[LIMIT] Refused TCP connection to ${alias}: bandwidth limit exceeded`);
+            return socket.destroy();
+        }
+
+        // The public port stays open while the tunnel is held for its client;
+        // whatever the visitor sends meanwhile waits in the socket
+        socket.on('error', () => {});
+        const client = await connectedClient(clientUUID);
+        if (!client || client.readyState !== 1 || socket.destroyed) {
+            return socket.destroy();
+        }
+
+        console.log(`[TCP] ${socket.remoteAddress}:${socket.remotePort} -> ${alias}`);
+
+        const stream = client._mux.open({
+            tunnel: clientUUID,
+            proto: 'tcp',
+            remoteAddress: socket.remoteAddress,
+            remotePort: socket.remotePort,
+        });
+
+        socket.pipe(stream);
+        stream.pipe(socket);
+        socket.on('data', (chunk) => countTraffic(alias, tunnel, chunk.length, 0));
+        stream.on('data', (chunk) => countTraffic(alias, tunnel, 0, chunk.length));
+
+        stream.on('error', (err) => {
+            console.warn(`[TCP] Stream ${stream.id} for ${alias} closed: ${err.message}`);
+            socket.destroy();
+        });
+        socket.on('error', (err) => stream.destroy(err));
+        socket.on('close', () => stream.destroy());
+    });
+
+    const port = await listenOnFreePort(tcpServer);
+    if (ws.readyState !== 1) {
+        tcpServer.close();
+        throw new Error('Client disconnected during registration');
+    }
+
+    tunnel.tcpServer = tcpServer;
+    return port;
+}
+
+// ===== Custom Domain Management =====
+// The same operations back the client's `comzy domain` commands (over the
+// tunnel WebSocket) and the REST API below; both need a registered user.
+async function runDomainAction(userId, { action, domain, alias, method }) {
+    if (!(await storage.userExists(userId))) {
+        const err = new Error('Log in with "comzy login" to manage custom domains');
+        err.status = 401;
+        throw err;
+    }
+
+    switch (action) {
+        case 'add':
+            return { domain: await domainManager.add(userId, domain, alias) };
+        case 'verify':
+            return { domain: await domainManager.verify(userId, domain, method) };
+        case 'list':
+            return { domains: await domainManager.list(userId) };
+        case 'remove':
+            await domainManager.remove(userId, domain);
+            return { removed: domain };
+        default: {
+            const err = new Error(`Unknown domain action "${action}"`);
+            err.status = 400;
+            throw err;
+        }
+    }
+}
+
+api.use(express.json());
+
+api.use('/api', (req, res, next) => {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if (scheme?.toLowerCase() !== 'bearer' || !token) {
+        return res.status(401).json({ error: 'Missing bearer token' });
+    }
+    req.userId = token.trim().toLowerCase();
+    next();
+});
+
+function domainRoute(action, params) {
+    return async (req, res) => {
+        try {
+            res.json(await runDomainAction(req.userId, { action, ...params(req) }));
+        } catch (err) {
+            if (!err.status) {
+                console.error('[DOMAINS ERROR]', err);
+            }
+            res.status(err.status || 500).json({ error: err.status ? err.message : 'Internal server error' });
+        }
+    };
+}
+
+api.get('/api/domains', domainRoute('list', () => ({})));
+api.post('/api/domains', domainRoute('add', req => ({ domain: req.body?.domain, alias: req.body?.alias })));
+api.post('/api/domains/:domain/verify', domainRoute('verify', req => ({ domain: req.params.domain, method: req.body?.method })));
+api.delete('/api/domains/:domain', domainRoute('remove', req => ({ domain: req.params.domain })));
+
 // ===== ACME Challenge Support =====
+// Ownership tokens and http-01 answers for custom domains come from the
+// domain manager; anything else falls back to files in ACME_CHALLENGE_PATH
+app.use((req, res, next) => {
+    domainManager.handleChallenge(req, res).then((handled) => {
+        if (!handled) {
+            next();
+        }
+    }, next);
+});
 app.use('/.well-known/acme-challenge', express.static(CONFIG.ACME_CHALLENGE_PATH));
 
 // ===== Extract Alias from Subdomain =====
-app.use((req, res, next) => {
-    const host = req.headers.host;
-    let alias = host?.split('.')[0];
+function aliasForHost(host) {
+    const hostname = host?.split(':')[0].toLowerCase();
+    if (customDomainToAlias.has(hostname)) {
+        return customDomainToAlias.get(hostname);
+    }
+    return domainManager.aliasFor(hostname) || hostname?.split('.')[0];
+}
+
+function resolveClientUUID(host) {
+    const uuid = aliasToUUID.get(aliasForHost(host));
 
-    if (customDomainToAlias.has(host)) {
-        alias = customDomainToAlias.get(host);
+    // TCP and gRPC tunnels are only reachable on their own ports
+    const proto = tunnels.get(uuid)?.proto;
+    if (proto && proto !== 'http') {
+        return undefined;
     }
 
-    const uuid = aliasToUUID.get(alias);
-    req.clientUUID = uuid;
+    return uuid;
+}
+
+app.use(async (req, res, next) => {
+    req.clientUUID = resolveClientUUID(req.headers.host);
+
+    // Not ours, or held here while its client may have come back on another
+    // node: that node then holds the tunnel
+    if ((!req.clientUUID || tunnels.get(req.clientUUID).waiting) && !req.fromNode) {
+        const owner = await findOwnerNode(req.headers.host);
+        if (owner) {
+            return forwardRequest(req, res, owner);
+        }
+    }
     next();
 });
 
 // ===== Handle All Routes via Subdomain =====
+// Bodies are never parsed or buffered here: the request is piped into a tunnel
+// stream and the client's response is piped straight back to the visitor.
+// The original URL (query string included), the raw request bytes and the
+// local app's full header list (repeated headers included) go through as-is,
+// so signed webhooks, cookies and redirects behave as if there were no tunnel.
+//
+// Each client connection has one multiplexer whose stream table doubles as the
+// pending-request table: replies are dispatched by stream id, a request that
+// gets no response headers within REQUEST_TIMEOUT fails with 504, and when the
+// tunnel drops every stream still open fails at once with 502.
+function gatewayError(err) {
+    return err.code === 'ETIMEDOUT'
+        ? { status: 504, error: 'Gateway timeout' }
+        : { status: 502, error: 'Bad gateway' };
+}
+
 app.all(/.*/, async (req, res) => {
     const uuid = req.clientUUID;
     const subPath = req.path;
     const alias = uuidToAlias.get(uuid);
-    const port = req.headers['x-forwarded-port'] || 0;
+    const port = tunnels.get(uuid)?.port ?? 0; // The client's local port
+    const startedAt = Date.now();
+    const requestId = requestIdFor(req);
 
     console.log(`[HTTP] ${req.method} ${req.originalUrl} (UUID: ${uuid})`);
+    // Visitors that hang up before any response count as 499
+    res.on('close', () => metrics.requestCompleted(res.headersSent ? res.statusCode : 499, Date.now() - startedAt));
 
     if (!uuid) {
         console.warn('[WARN] Invalid alias or client not registered');
         return res.status(400).json({ error: 'Invalid URL' });
     }
 
-    const bytesIn = JSON.stringify(req.headers).length + JSON.stringify(req.body || {}).length;
+    const denied = await checkAccess(tunnels.get(uuid)?.policy, visitorAddress(req), req.headers.authorization);
+    if (denied) {
+        console.warn(`[ACCESS] ${denied.status} for ${visitorAddress(req)} on ${alias}`);
+        return res.status(denied.status).set(denied.headers || {}).json({ error: denied.error });
+    }
+
+    const tunnel = tunnels.get(uuid);
+    // Gated tunnels answer their login pages here; only signed-in visitors go on
+    let identity = null;
+    if (tunnel.policy?.oidc) {
+        identity = await loginGate.handle(req, res, {
+            alias,
+            gate: tunnel.policy.oidc,
+            origin: `${visitorProtocol(req)}://${req.headers.host}`,
+        });
+        if (!identity) {
+            return;
+        }
+    }
 
-    const client = clients.get(uuid);
+    const limited = admitRequest(alias, tunnel);
+    if (limited) {
+        console.warn(`[LIMIT] 429 on ${alias}: ${limited.error}`);
+        return res.status(429).set('Retry-After', String(limited.retryAfter)).json({ error: limited.error });
+    }
+    res.on('close', () => inFlight.release(alias));
+
+    // Queued requests count against MAX_CONCURRENT_REQUESTS while they wait
+    const client = await connectedClient(uuid);
+    if (res.destroyed) {
+        return;
+    }
 
     if (!client || client.readyState !== 1) {
         console.warn(`[WARN] Client not connected for UUID: ${uuid}`);
         return res.status(503).json({ error: 'Client not connected' });
     }
 
-    const requestId = Date.now() + Math.random();
+    const stream = client._mux.open({
+        tunnel: uuid,
+        method: req.method,
+        path: req.originalUrl,
+        // For the client's X-Forwarded-For and X-Forwarded-Proto
+        remoteAddress: visitorAddress(req),
+        protocol: visitorProtocol(req),
+        // The local app sees the same id that ends up in the request log,
+        // and who signed in when the tunnel has a login gate
+        rawHeaders: withRequestId(identityHeaders(stripHopByHopHeaders(req.rawHeaders), identity), requestId),
+    }, { responseTimeout: CONFIG.REQUEST_TIMEOUT });
+
+    let bytesIn = 0;
+    let bytesOut = 0;
+    let statusCode = 0;
+
+    // Traffic is counted as it flows, so long-lived streams count before they end
+    req.pipe(stream);
+    req.on('data', (chunk) => {
+        bytesIn += chunk.length;
+        countTraffic(alias, tunnel, chunk.length, 0);
+    });
+
+    stream.once('headers', (response) => {
+        statusCode = response.status || 200;
+        const rawHeaders = stripHopByHopHeaders(response.rawHeaders || []);
+        res.writeHead(statusCode, response.statusMessage, rawHeaders);
+        // Event streams may stay quiet for a while after their head
+        if (isStreamingResponse({ method: req.method, status: statusCode, rawHeaders })) {
+            res.flushHeaders();
+        }
+
+        stream.on('data', (chunk) => {
+            bytesOut += chunk.length;
+            countTraffic(alias, tunnel, 0, chunk.length);
+        });
+        stream.pipe(res);
+    });
+
+    stream.on('error', (err) => {
+        console.error(`[ERROR] Tunnel stream ${stream.id} failed: ${err.message}`);
+        if (!res.headersSent) {
+            const { status, error } = gatewayError(err);
+            res.status(status).json({ error });
+        } else {
+            res.destroy(err);
+        }
+    });
+
+    res.on('close', () => {
+        // Visitor went away before the response finished: abort the stream.
+        // Clients often hang up as soon as the body is complete, so whatever
+        // got a response is still logged.
+        if (!res.writableFinished) {
+            stream.destroy();
+        }
+        if (!res.headersSent) {
+            return;
+        }
+
+        const entry = {
+            requestId,
+            alias,
+            port,
+            method: req.method.slice(0, 10),
+            path: subPath.slice(0, 1024),
+            statusCode: statusCode || res.statusCode,
+            latencyMs: Date.now() - startedAt,
+            bytesIn,
+            bytesOut,
+            visitorIp: visitorAddress(req),
+            userAgent: req.headers['user-agent']?.slice(0, 255) || null,
+        };
+        requestLog.log(entry);
+        dashboard.requestCompleted(uuid, entry);
+    });
+});
+
+// ===== Tunnel WebSocket Upgrades =====
+// Upgrade requests never reach Express. The visitor's raw socket is spliced
+// onto a tunnel stream and the client performs the same upgrade against the
+// local app, so WebSocket frames (and any negotiated extensions) pass through
+// byte for byte until either side closes.
+function writeResponseHead(socket, status, statusMessage, rawHeaders = []) {
+    const lines = [`HTTP/1.1 ${status} ${statusMessage || http.STATUS_CODES[status] || ''}`];
+    for (let i = 0; i < rawHeaders.length; i += 2) {
+        lines.push(`${rawHeaders[i]}: ${rawHeaders[i + 1]}`);
+    }
+    socket.write(lines.join('\r\n') + '\r\n\r\n');
+}
+
+function rejectUpgrade(socket, status, error, headers = {}) {
+    const body = JSON.stringify({ error });
+    writeResponseHead(socket, status, null, [
+        ...Object.entries(headers).flat(),
+        'Content-Type', 'application/json',
+        'Content-Length', String(Buffer.byteLength(body)),
+        'Connection', 'close',
+    ]);
+    socket.end(body);
+}
 
-    const message = {
-        id: requestId,
+async function handleUpgrade(req, socket, head) {
+    const uuid = resolveClientUUID(req.headers.host);
+    const alias = uuidToAlias.get(uuid);
+
+    console.log(`[UPGRADE] ${req.method} ${req.url} (UUID: ${uuid})`);
+
+    if (!uuid || tunnels.get(uuid).waiting) {
+        const owner = !req.fromNode && await findOwnerNode(req.headers.host);
+        if (owner) {
+            return forwardUpgrade(req, socket, head, owner);
+        }
+    }
+    if (!uuid) {
+        console.warn('[WARN] Invalid alias or client not registered');
+        return rejectUpgrade(socket, 400, 'Invalid URL');
+    }
+
+    const denied = await checkAccess(tunnels.get(uuid)?.policy, visitorAddress(req), req.headers.authorization);
+    if (denied) {
+        console.warn(`[ACCESS] ${denied.status} for ${visitorAddress(req)} on upgrade`);
+        return rejectUpgrade(socket, denied.status, denied.error, denied.headers);
+    }
+
+    const tunnel = tunnels.get(uuid);
+    // Browsers send the session cookie with WebSocket handshakes too
+    const identity = tunnel.policy?.oidc && loginGate.identify(req, alias, tunnel.policy.oidc);
+    if (tunnel.policy?.oidc && !identity) {
+        console.warn(`[LOGIN] 401 for ${visitorAddress(req)} on upgrade`);
+        return rejectUpgrade(socket, 401, 'Login required');
+    }
+
+    const limited = requestLimit(alias, tunnel);
+    if (limited) {
+        console.warn(`[LIMIT] 429 on ${alias} upgrade: ${limited.error}`);
+        return rejectUpgrade(socket, 429, limited.error, { 'Retry-After': String(limited.retryAfter) });
+    }
+
+    const client = await connectedClient(uuid);
+    if (socket.destroyed) {
+        return;
+    }
+
+    if (!client || client.readyState !== 1) {
+        console.warn(`[WARN] Client not connected for UUID: ${uuid}`);
+        return rejectUpgrade(socket, 503, 'Client not connected');
+    }
+
+    const stream = client._mux.open({
+        tunnel: uuid,
         method: req.method,
-        path: subPath,
-        headers: req.headers,
-        body: req.body,
-        files: req.files || [],
-    };
+        path: req.url,
+        rawHeaders: identityHeaders(req.rawHeaders, identity),
+        remoteAddress: visitorAddress(req),
+        protocol: visitorProtocol(req),
+        upgrade: true,
+    }, { responseTimeout: CONFIG.REQUEST_TIMEOUT });
+
+    // Anything the visitor sent after the handshake is buffered in the stream
+    // until the client has finished upgrading the local connection
+    if (head.length) {
+        stream.write(head);
+    }
+    socket.pipe(stream);
+    socket.on('data', (chunk) => countTraffic(alias, tunnel, chunk.length, 0));
 
-    client.send(JSON.stringify(message));
+    let responded = false;
 
-    const onResponse = async (data) => {
-        try {
-            const response = JSON.parse(data);
-            const bytesOut = Buffer.byteLength(
-                typeof response.body === 'string' ? response.body : JSON.stringify(response.body)
-            );
-
-            try {
-                await dbPool.query(
-                    `INSERT INTO api_requests (alias, port, method, path, status_code, bytes_in, bytes_out)
-                     VALUES (?, ?, ?, ?, ?, ?, ?)`,
-                    [alias, port, req.method, subPath, response.status || 200, bytesIn, bytesOut]
-                );
-            } catch (err) {
-                console.error('[DB ERROR] Failed to log API request:', err);
-            }
+    stream.once('headers', (response) => {
+        responded = true;
+        writeResponseHead(socket, response.status, response.statusMessage, response.rawHeaders);
+        stream.on('data', (chunk) => countTraffic(alias, tunnel, 0, chunk.length));
+        stream.pipe(socket);
+    });
 
-            if (response.id !== requestId) return;
+    stream.on('error', (err) => {
+        console.error(`[ERROR] Upgrade stream ${stream.id} failed: ${err.message}`);
+        if (!responded && socket.writable) {
+            const { status, error } = gatewayError(err);
+            rejectUpgrade(socket, status, error);
+        } else {
+            socket.destroy();
+        }
+    });
 
-            client.off('message', onResponse);
-            const contentType = response.headers?.['content-type'] || 'application/json';
+    socket.on('error', (err) => {
+        console.warn(`[WARN] Visitor socket error on upgrade: ${err.message}`);
+    });
 
-            res.status(response.status || 200);
-            res.set('Content-Type', contentType);
+    socket.on('close', () => stream.destroy());
+}
 
-            if (contentType.includes('application/json')) {
-                res.json(response.body);
-            } else {
-                res.send(response.body);
+server.on('upgrade', handleUpgrade);
+tlsServer.on('upgrade', handleUpgrade);
+
+// ===== gRPC Tunnels =====
+// `--proto grpc` tunnels are reached over HTTP/2 with TLS on GRPC_PORT, and
+// any HTTP/2 request passes through, not only gRPC. The client talks h2c (or
+// h2 for https:// upstreams) to the local server, so streamed messages flow
+// both ways as they come. The upstream's trailers, where gRPC puts its
+// grpc-status, follow the body as a trailing HEADERS frame of the tunnel
+// stream. Aliases held by another cluster node are not forwarded: node to
+// node forwarding speaks HTTP/1.1.
+
+// gRPC's own mapping of HTTP statuses, for the errors raised here
+const GRPC_STATUS_FOR_HTTP = { 400: 13, 401: 16, 403: 7, 404: 12, 429: 14, 500: 13, 502: 14, 503: 14, 504: 14 };
+
+// Flat [name, value, ...] list to the header object HTTP/2 takes, with
+// repeated headers as arrays
+function headersObject(rawHeaders) {
+    const headers = {};
+    for (let i = 0; i < rawHeaders.length; i += 2) {
+        const name = rawHeaders[i].toLowerCase();
+        headers[name] = name in headers ? [].concat(headers[name], rawHeaders[i + 1]) : rawHeaders[i + 1];
+    }
+    return headers;
+}
+
+// Pseudo-headers are rebuilt by the client; :authority travels as Host so
+// host rewriting and X-Forwarded-Host work as they do for HTTP tunnels
+function tunneledH2Headers(rawHeaders) {
+    const headers = [];
+    for (let i = 0; i < rawHeaders.length; i += 2) {
+        if (rawHeaders[i] === ':authority') {
+            headers.push('Host', rawHeaders[i + 1]);
+        } else if (!rawHeaders[i].startsWith(':')) {
+            headers.push(rawHeaders[i], rawHeaders[i + 1]);
+        }
+    }
+    return headers;
+}
+
+// gRPC callers get a trailers-only response they can read a status from,
+// other HTTP/2 clients the JSON error HTTP tunnels answer with
+function sendH2Error(req, res, status, error, headers = {}) {
+    const grpc = (req.headers['content-type'] || '').startsWith('application/grpc');
+    for (const [name, value] of Object.entries(headers)) {
+        res.setHeader(name, value);
+    }
+    if (!grpc) {
+        res.statusCode = status;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ error }));
+        return;
+    }
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'application/grpc');
+    res.setHeader('grpc-status', String(GRPC_STATUS_FOR_HTTP[status] ?? 2));
+    res.setHeader('grpc-message', encodeURIComponent(error));
+    res.end();
+}
+
+async function handleGrpcRequest(req, res) {
+    const uuid = aliasToUUID.get(aliasForHost(req.headers[':authority']));
+    const tunnel = tunnels.get(uuid);
+    const alias = uuidToAlias.get(uuid);
+    const startedAt = Date.now();
+    const requestId = requestIdFor(req);
+
+    console.log(`[GRPC] ${req.method} ${req.url} (UUID: ${uuid})`);
+    res.on('close', () => metrics.requestCompleted(res.headersSent ? res.statusCode : 499, Date.now() - startedAt));
+
+    if (tunnel?.proto !== 'grpc') {
+        console.warn('[WARN] No gRPC tunnel for this authority');
+        return sendH2Error(req, res, 404, 'No gRPC tunnel at this address');
+    }
+
+    const denied = await checkAccess(tunnel.policy, visitorAddress(req), req.headers.authorization);
+    if (denied) {
+        console.warn(`[ACCESS] ${denied.status} for ${visitorAddress(req)} on ${alias}`);
+        return sendH2Error(req, res, denied.status, denied.error, denied.headers);
+    }
+
+    const limited = admitRequest(alias, tunnel);
+    if (limited) {
+        console.warn(`[LIMIT] 429 on ${alias}: ${limited.error}`);
+        return sendH2Error(req, res, 429, limited.error, { 'Retry-After': String(limited.retryAfter) });
+    }
+    res.on('close', () => inFlight.release(alias));
+
+    const client = await connectedClient(uuid);
+    if (res.destroyed) {
+        return;
+    }
+    if (!client || client.readyState !== 1) {
+        console.warn(`[WARN] Client not connected for UUID: ${uuid}`);
+        return sendH2Error(req, res, 503, 'Client not connected');
+    }
+
+    const stream = client._mux.open({
+        tunnel: uuid,
+        proto: 'grpc',
+        method: req.method,
+        path: req.url,
+        remoteAddress: visitorAddress(req),
+        protocol: 'https',
+        rawHeaders: withRequestId(tunneledH2Headers(req.rawHeaders), requestId),
+    }, { responseTimeout: CONFIG.REQUEST_TIMEOUT });
+
+    let bytesIn = 0;
+    let bytesOut = 0;
+
+    req.pipe(stream);
+    req.on('data', (chunk) => {
+        bytesIn += chunk.length;
+        countTraffic(alias, tunnel, chunk.length, 0);
+    });
+
+    stream.once('headers', (response) => {
+        res.statusCode = response.status || 200;
+        for (const [name, value] of Object.entries(headersObject(stripHopByHopHeaders(response.rawHeaders || [])))) {
+            res.setHeader(name, value);
+        }
+
+        // A gRPC error without messages is a single HEADERS frame, status included
+        if (response.endStream) {
+            stream.resume();
+            res.end();
+            return;
+        }
+
+        // Sent now: a streaming RPC may take a while to send its first message
+        res.writeHead(res.statusCode);
+        stream.on('data', (chunk) => {
+            bytesOut += chunk.length;
+            countTraffic(alias, tunnel, 0, chunk.length);
+        });
+        stream.pipe(res, { end: false });
+        stream.on('end', () => {
+            if (stream.trailers) {
+                res.addTrailers(headersObject(stream.trailers));
             }
-        } catch (err) {
-            console.error('[ERROR] Failed to process client response', err);
-            res.status(500).json({ error: 'Internal server error' });
+            res.end();
+        });
+    });
+
+    stream.on('error', (err) => {
+        console.error(`[ERROR] Tunnel stream ${stream.id} failed: ${err.message}`);
+        if (!res.headersSent) {
+            const { status, error } = gatewayError(err);
+            sendH2Error(req, res, status, error);
+        } else {
+            res.stream.close(http2.constants.NGHTTP2_INTERNAL_ERROR);
+        }
+    });
+
+    res.on('close', () => {
+        // Compat responses count as finished even when the caller cancelled
+        // (RST_STREAM), and a completed stream sends no ABORT, so always destroy
+        stream.destroy();
+        if (!res.headersSent) {
+            return;
+        }
+
+        const entry = {
+            requestId,
+            alias,
+            port: tunnel.port,
+            method: req.method.slice(0, 10),
+            path: req.url.split('?')[0].slice(0, 1024),
+            statusCode: res.statusCode,
+            latencyMs: Date.now() - startedAt,
+            bytesIn,
+            bytesOut,
+            visitorIp: visitorAddress(req),
+            userAgent: req.headers['user-agent']?.slice(0, 255) || null,
+        };
+        requestLog.log(entry);
+        dashboard.requestCompleted(uuid, entry);
+    });
+}
+
+// A failure in the handler still answers the caller: INTERNAL (13) in
+// trailers, or a reset stream, which callers read as INTERNAL too, once the
+// response has begun
+const grpcServer = http2.createSecureServer({ ...serverOptions, SNICallback: domainManager.sniCallback }, (req, res) => {
+    handleGrpcRequest(req, res).catch((err) => {
+        console.error('[GRPC ERROR]', err);
+        if (res.stream.destroyed) {
+            return;
+        }
+        if (res.headersSent) {
+            res.stream.close(http2.constants.NGHTTP2_INTERNAL_ERROR);
+        } else {
+            sendH2Error(req, res, 500, 'Internal server error');
+        }
+    });
+});
+
+// ===== Cluster Forwarding =====
+// A request for an alias held by another node is passed to that node's
+// internal port (NODE_PORT) with the cluster secret and the visitor's address
+// and scheme.
+// The receiving node handles it as its own and never forwards it again.
+const NODE_HEADERS = new Set(['x-comzy-node-secret', 'x-comzy-visitor', 'x-comzy-visitor-proto']);
+const nodeAgent = new http.Agent({ keepAlive: true });
+
+async function findOwnerNode(host) {
+    try {
+        const owner = await registry.lookup(aliasForHost(host));
+        return owner && owner.nodeId !== CONFIG.NODE_ID ? owner : null;
+    } catch (err) {
+        console.error('[REGISTRY ERROR] Lookup failed:', err.message);
+        return null;
+    }
+}
+
+function withoutNodeHeaders(rawHeaders) {
+    const kept = [];
+    for (let i = 0; i < rawHeaders.length; i += 2) {
+        if (!NODE_HEADERS.has(rawHeaders[i].toLowerCase())) {
+            kept.push(rawHeaders[i], rawHeaders[i + 1]);
+        }
+    }
+    return kept;
+}
+
+function nodeRequest(req, owner, path, rawHeaders) {
+    const separator = owner.address.lastIndexOf(':');
+    return http.request({
+        host: owner.address.slice(0, separator),
+        port: owner.address.slice(separator + 1),
+        method: req.method,
+        path,
+        agent: nodeAgent,
+        headers: [
+            ...withoutNodeHeaders(rawHeaders),
+            'X-Comzy-Node-Secret', CONFIG.CLUSTER_SECRET,
+            'X-Comzy-Visitor', visitorAddress(req),
+            'X-Comzy-Visitor-Proto', visitorProtocol(req),
+        ],
+    });
+}
+
+function forwardRequest(req, res, owner) {
+    console.log(`[CLUSTER] ${req.method} ${req.originalUrl} -> node ${owner.nodeId}`);
+    const upstream = nodeRequest(req, owner, req.originalUrl, stripHopByHopHeaders(req.rawHeaders));
+
+    upstream.on('response', (response) => {
+        const rawHeaders = stripHopByHopHeaders(response.rawHeaders);
+        res.writeHead(response.statusCode, response.statusMessage, rawHeaders);
+        if (isStreamingResponse({ method: req.method, status: response.statusCode, rawHeaders })) {
+            res.flushHeaders();
         }
+        response.pipe(res);
+    });
+
+    upstream.on('error', (err) => {
+        console.error(`[CLUSTER ERROR] Node ${owner.nodeId} unreachable: ${err.message}`);
+        if (!res.headersSent) {
+            res.status(502).json({ error: 'Bad gateway' });
+        } else {
+            res.destroy(err);
+        }
+    });
+
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            upstream.destroy();
+        }
+    });
+
+    req.pipe(upstream);
+}
+
+function forwardUpgrade(req, socket, head, owner) {
+    console.log(`[CLUSTER] Upgrade ${req.url} -> node ${owner.nodeId}`);
+    const upstream = nodeRequest(req, owner, req.url, req.rawHeaders);
+
+    upstream.on('upgrade', (response, upstreamSocket, upstreamHead) => {
+        writeResponseHead(socket, response.statusCode, response.statusMessage, response.rawHeaders);
+        socket.write(upstreamHead);
+        upstreamSocket.write(head);
+        upstreamSocket.pipe(socket);
+        socket.pipe(upstreamSocket);
+        upstreamSocket.on('error', () => socket.destroy());
+        upstreamSocket.on('close', () => socket.destroy());
+        socket.on('close', () => upstreamSocket.destroy());
+    });
+
+    // Refused upgrades come back as ordinary responses
+    upstream.on('response', (response) => {
+        writeResponseHead(socket, response.statusCode, response.statusMessage, response.rawHeaders);
+        response.pipe(socket);
+    });
+
+    upstream.on('error', (err) => {
+        console.error(`[CLUSTER ERROR] Node ${owner.nodeId} unreachable: ${err.message}`);
+        if (socket.writable) {
+            rejectUpgrade(socket, 502, 'Bad gateway');
+        }
+    });
+
+    socket.on('error', (err) => {
+        console.warn(`[WARN] Visitor socket error on forwarded upgrade: ${err.message}`);
+        upstream.destroy();
+    });
+
+    upstream.end();
+}
+
+// Marks a request on NODE_PORT as forwarded by another node, if its secret
+// matches, and hides the cluster headers from the local app
+function acceptFromNode(req) {
+    const given = Buffer.from(req.headers['x-comzy-node-secret'] || '');
+    const expected = Buffer.from(CONFIG.CLUSTER_SECRET || '');
+    if (expected.length === 0 || given.length !== expected.length || !timingSafeEqual(given, expected)) {
+        return false;
+    }
+    req.fromNode = {
+        visitor: normalizeAddress(req.headers['x-comzy-visitor'] || ''),
+        protocol: req.headers['x-comzy-visitor-proto'] === 'https' ? 'https' : 'http',
     };
+    req.rawHeaders = withoutNodeHeaders(req.rawHeaders);
+    for (const name of NODE_HEADERS) {
+        delete req.headers[name];
+    }
+    return true;
+}
+
+const nodeServer = http.createServer((req, res) => {
+    if (!acceptFromNode(req)) {
+        res.writeHead(403, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ error: 'Forbidden' }));
+    }
+    app(req, res);
+});
 
-    client.on('message', onResponse);
+nodeServer.on('upgrade', (req, socket, head) => {
+    if (!acceptFromNode(req)) {
+        return rejectUpgrade(socket, 403, 'Forbidden');
+    }
+    handleUpgrade(req, socket, head);
 });
 
 // ===== Start Servers =====
@@ -393,6 +1881,25 @@ server.listen(CONFIG.HTTP_PORT, () => {
     console.log(`✓ HTTP + WS Server running on port ${CONFIG.HTTP_PORT}`);
 });
 
+tlsServer.listen(CONFIG.HTTPS_PORT, () => {
+    console.log(`✓ HTTPS server (custom domain certificates) running on port ${CONFIG.HTTPS_PORT}`);
+});
+
+grpcServer.listen(CONFIG.GRPC_PORT, () => {
+    console.log(`✓ gRPC / HTTP/2 server running on port ${CONFIG.GRPC_PORT}`);
+});
+
+metricsServer.listen(CONFIG.METRICS_PORT, CONFIG.METRICS_HOST, () => {
+    console.log(`✓ Metrics server running on ${CONFIG.METRICS_HOST}:${CONFIG.METRICS_PORT}`);
+});
+
+// Only needed when other nodes share the registry
+if (CONFIG.REGISTRY !== 'memory') {
+    nodeServer.listen(CONFIG.NODE_PORT, () => {
+        console.log(`✓ Cluster node server running on port ${CONFIG.NODE_PORT}`);
+    });
+}
+
 wsServer.listen(CONFIG.WS_PORT, () => {
     console.log(`✓ WebSocket server running on port ${CONFIG.WS_PORT}`);
 });
@@ -410,8 +1917,14 @@ process.on('SIGINT', async () => {
         client.close();
     }
     
-    // Close database pool
-    await dbPool.end();
+    dashboard.close();
+
+    // Hand this node's aliases back so other nodes stop forwarding here
+    await registry.close().catch(err => console.error('[REGISTRY ERROR]', err.message));
+
+    // Write out buffered log entries, then close the storage backend
+    await requestLog.close();
+    await storage.close();
     
     console.log('[SHUTDOWN] Cleanup complete');
     process.exit(0);
@@ -0,0 +1,65 @@
+// ===== Storage =====
+// Everything the server persists goes through one interface, so the same
+// handlers run on MySQL (production), SQLite (small self-hosted instances) or
+// plain memory (tests, throwaway servers). Every method returns a promise.
+//
+//   init()                                  Connect and prepare tables
+//   close()
+//
+//   addUser(token)                          No-op when the user exists
+//   userExists(token)                       -> boolean
+//   countUsers()                            -> number
+//
+//   getAliasOwner(alias)                    -> userId | null
+//   findAliasByPort(userId, port)           -> alias | null
+//   userOwnsAlias(userId, alias)            -> boolean
+//   createAlias(userId, alias, port)        Fails with code DUPLICATE if taken
+//
+//   getAliasPolicy(alias)                   -> { basicAuthUser, basicAuthHash, allowIps } | null
+//   saveAliasPolicy(alias, userId, policy)  Same shape; replaces what is stored
+//
+//   logRequests(entries)                    [{ requestId, alias, port, method, path, statusCode,
+//                                           latencyMs, bytesIn, bytesOut, visitorIp, userAgent, createdAt }];
+//                                           REJECTED if the database refuses the rows themselves
+//   rollupRequests(before)                  Folds older rows into hourly aggregates -> rows removed
+//   pruneRequestRollups(before)             Deletes aggregates for hours before `before`
+//
+//   listCustomDomains({ userId, domain })   -> rows, both filters optional
+//   createCustomDomain(row)                 { domain, userId, alias, token }; DUPLICATE if taken
+//   updateCustomDomain(domain, fields)      Any of status, verifiedAt, certPem, keyPem,
+//                                           certExpiresAt, lastError
+//   deleteCustomDomain(domain)
+//
+// Custom domain rows are { domain, userId, alias, token, status, verifiedAt,
+// certPem, keyPem, certExpiresAt, lastError }. A new table means a new group
+// of methods here, implemented by every backend.
+
+const BACKENDS = {
+    mysql: () => require('./mysql'),
+    sqlite: () => require('./sqlite'),
+    memory: () => require('./memory'),
+};
+
+function createStorage(type, options = {}) {
+    const backend = BACKENDS[type];
+    if (!backend) {
+        throw new Error(`Unknown storage "${type}" (use ${Object.keys(BACKENDS).join(', ')})`);
+    }
+    return backend().createStorage(options);
+}
+
+function duplicateError(message) {
+    const err = new Error(message);
+    err.code = 'DUPLICATE';
+    return err;
+}
+
+// The rows were refused (too long, out of range...), as opposed to the
+// database being unreachable: writing them again cannot succeed
+function rejectedError(message) {
+    const err = new Error(message);
+    err.code = 'REJECTED';
+    return err;
+}
+
+module.exports = { createStorage, duplicateError, rejectedError };
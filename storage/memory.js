@@ -0,0 +1,152 @@
+const { duplicateError } = require('./index');
+
+// ===== In-Memory Storage =====
+// Nothing survives a restart: meant for tests and throwaway servers.
+const MAX_LOGGED_REQUESTS = 10000; // Oldest log entries are dropped beyond this
+const HOUR = 60 * 60 * 1000;
+
+function createStorage() {
+    const users = new Set(); // Set<token>
+    const aliases = new Map(); // Map<alias, { userId, port }>
+    const policies = new Map(); // Map<alias, { userId, basicAuthUser, basicAuthHash, allowIps }>
+    const domains = new Map(); // Map<domain, row>
+    const requests = [];
+    const rollups = new Map(); // Map<"alias hour", hourly aggregate>
+
+    return {
+        async init() {},
+        async close() {},
+
+        // --- Users ---
+        async addUser(token) {
+            users.add(token);
+        },
+
+        async userExists(token) {
+            return users.has(token);
+        },
+
+        async countUsers() {
+            return users.size;
+        },
+
+        // --- Aliases ---
+        async getAliasOwner(alias) {
+            return aliases.get(alias)?.userId ?? null;
+        },
+
+        async findAliasByPort(userId, port) {
+            for (const [alias, entry] of aliases) {
+                if (entry.userId === userId && entry.port === port) {
+                    return alias;
+                }
+            }
+            return null;
+        },
+
+        async userOwnsAlias(userId, alias) {
+            return aliases.get(alias)?.userId === userId;
+        },
+
+        async createAlias(userId, alias, port) {
+            if (aliases.has(alias)) {
+                throw duplicateError(`Alias ${alias} already exists`);
+            }
+            aliases.set(alias, { userId, port });
+        },
+
+        // --- Access policies ---
+        async getAliasPolicy(alias) {
+            const policy = policies.get(alias);
+            return policy
+                ? { basicAuthUser: policy.basicAuthUser, basicAuthHash: policy.basicAuthHash, allowIps: policy.allowIps }
+                : null;
+        },
+
+        async saveAliasPolicy(alias, userId, { basicAuthUser = null, basicAuthHash = null, allowIps = null }) {
+            policies.set(alias, { userId, basicAuthUser, basicAuthHash, allowIps });
+        },
+
+        // --- Request log ---
+        async logRequests(entries) {
+            requests.push(...entries);
+            if (requests.length > MAX_LOGGED_REQUESTS) {
+                requests.splice(0, requests.length - MAX_LOGGED_REQUESTS);
+            }
+        },
+
+        async rollupRequests(before) {
+            const kept = requests.filter(entry => entry.createdAt >= before);
+            for (const entry of requests) {
+                if (entry.createdAt >= before) {
+                    continue;
+                }
+                const hour = new Date(Math.floor(entry.createdAt.getTime() / HOUR) * HOUR);
+                const key = `${entry.alias} ${hour.toISOString()}`;
+                const rollup = rollups.get(key) || {
+                    alias: entry.alias, hour, requests: 0, serverErrors: 0,
+                    bytesIn: 0, bytesOut: 0, totalLatencyMs: 0, maxLatencyMs: 0,
+                };
+                rollup.requests++;
+                rollup.serverErrors += entry.statusCode >= 500 ? 1 : 0;
+                rollup.bytesIn += entry.bytesIn || 0;
+                rollup.bytesOut += entry.bytesOut || 0;
+                rollup.totalLatencyMs += entry.latencyMs || 0;
+                rollup.maxLatencyMs = Math.max(rollup.maxLatencyMs, entry.latencyMs || 0);
+                rollups.set(key, rollup);
+            }
+            const removed = requests.length - kept.length;
+            requests.splice(0, requests.length, ...kept);
+            return removed;
+        },
+
+        async pruneRequestRollups(before) {
+            for (const [key, rollup] of rollups) {
+                if (rollup.hour < before) {
+                    rollups.delete(key);
+                }
+            }
+        },
+
+        // --- Custom domains ---
+        async listCustomDomains({ userId, domain } = {}) {
+            return [...domains.values()]
+                .filter(row => (userId === undefined || row.userId === userId)
+                    && (domain === undefined || row.domain === domain))
+                .sort((a, b) => a.domain.localeCompare(b.domain))
+                .map(row => ({ ...row }));
+        },
+
+        async createCustomDomain({ domain, userId, alias, token }) {
+            if (domains.has(domain)) {
+                throw duplicateError(`Domain ${domain} already exists`);
+            }
+            domains.set(domain, {
+                domain, userId, alias, token,
+                status: 'pending',
+                verifiedAt: null,
+                certPem: null,
+                keyPem: null,
+                certExpiresAt: null,
+                lastError: null,
+            });
+        },
+
+        async updateCustomDomain(domain, fields) {
+            const row = domains.get(domain);
+            if (row) {
+                for (const name of ['status', 'verifiedAt', 'certPem', 'keyPem', 'certExpiresAt', 'lastError']) {
+                    if (name in fields) {
+                        row[name] = fields[name];
+                    }
+                }
+            }
+        },
+
+        async deleteCustomDomain(domain) {
+            domains.delete(domain);
+        },
+    };
+}
+
+module.exports = { createStorage };
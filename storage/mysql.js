@@ -0,0 +1,64 @@
+const { createSqlStorage } = require('./sql');
+
+// ===== MySQL Storage =====
+// Tables are created by the operator (see the schema in README.md).
+function createStorage({ host, user, password, database, connectionLimit }) {
+    if (!password) {
+        throw new Error('DB_PASSWORD environment variable is required for MySQL storage');
+    }
+
+    const mysql = require('mysql2/promise');
+    const pool = mysql.createPool({
+        host,
+        user,
+        password,
+        database,
+        waitForConnections: true,
+        connectionLimit,
+    });
+
+    return createSqlStorage({
+        query: async (sql, params) => (await pool.query(sql, params))[0],
+        isDuplicate: (err) => err.code === 'ER_DUP_ENTRY',
+        // SQLSTATE classes 22 (data exception) and 23 (integrity constraint)
+        isRejected: (err) => /^2[23]/.test(err.sqlState || ''),
+        transaction: async (fn) => {
+            const connection = await pool.getConnection();
+            try {
+                await connection.beginTransaction();
+                const result = await fn(async (sql, params) => (await connection.query(sql, params))[0]);
+                await connection.commit();
+                return result;
+            } catch (err) {
+                await connection.rollback().catch(() => {});
+                throw err;
+            } finally {
+                connection.release();
+            }
+        },
+        dialect: {
+            insertIgnoreUser: 'INSERT IGNORE INTO users (user_token) VALUES (?)',
+            upsertAliasPolicy: `INSERT INTO alias_policies (alias, user_id, basic_auth_user, basic_auth_hash, allow_ips)
+                VALUES (?, ?, ?, ?, ?)
+                ON DUPLICATE KEY UPDATE basic_auth_user = VALUES(basic_auth_user),
+                    basic_auth_hash = VALUES(basic_auth_hash), allow_ips = VALUES(allow_ips)`,
+            rollupRequests: `INSERT INTO api_request_rollups
+                    (alias, hour, requests, server_errors, bytes_in, bytes_out, total_latency_ms, max_latency_ms)
+                SELECT alias, DATE_FORMAT(created_at, '%Y-%m-%d %H:00:00') AS bucket, COUNT(*),
+                    SUM(status_code >= 500), SUM(bytes_in), SUM(bytes_out), SUM(latency_ms), MAX(latency_ms)
+                FROM api_requests WHERE created_at < ? GROUP BY alias, bucket
+                ON DUPLICATE KEY UPDATE requests = requests + VALUES(requests),
+                    server_errors = server_errors + VALUES(server_errors),
+                    bytes_in = bytes_in + VALUES(bytes_in), bytes_out = bytes_out + VALUES(bytes_out),
+                    total_latency_ms = total_latency_ms + VALUES(total_latency_ms),
+                    max_latency_ms = GREATEST(max_latency_ms, VALUES(max_latency_ms))`,
+        },
+        init: async () => {
+            const connection = await pool.getConnection();
+            connection.release();
+        },
+        close: () => pool.end(),
+    });
+}
+
+module.exports = { createStorage };
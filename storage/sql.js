@@ -0,0 +1,197 @@
+const { duplicateError, rejectedError } = require('./index');
+
+// ===== SQL Storage =====
+// The storage interface over any SQL database. Backends provide `query(sql,
+// params)` resolving to the selected rows (or a result with `affectedRows`),
+// `isDuplicate(err)` to recognise unique key violations, `isRejected(err)` for
+// errors about the values written (as opposed to the connection), `transaction(fn)`
+// to run `fn(query)` atomically, and the few statements whose syntax differs
+// between databases.
+
+const DOMAIN_COLUMNS = {
+    status: 'status',
+    verifiedAt: 'verified_at',
+    certPem: 'cert_pem',
+    keyPem: 'key_pem',
+    certExpiresAt: 'cert_expires_at',
+    lastError: 'last_error',
+};
+
+function toDomain(row) {
+    return {
+        domain: row.domain,
+        userId: row.user_id,
+        alias: row.alias,
+        token: row.token,
+        status: row.status,
+        verifiedAt: row.verified_at || null,
+        certPem: row.cert_pem || null,
+        keyPem: row.key_pem || null,
+        certExpiresAt: row.cert_expires_at || null,
+        lastError: row.last_error || null,
+    };
+}
+
+const REQUEST_COLUMNS = [
+    'request_id', 'alias', 'port', 'method', 'path', 'status_code', 'latency_ms',
+    'bytes_in', 'bytes_out', 'visitor_ip', 'user_agent', 'created_at',
+];
+
+function createSqlStorage({ query, isDuplicate, isRejected, transaction, dialect, init = async () => {}, close = async () => {} }) {
+    async function insertUnique(sql, params, message) {
+        try {
+            await query(sql, params);
+        } catch (err) {
+            throw isDuplicate(err) ? duplicateError(message) : err;
+        }
+    }
+
+    return {
+        init,
+        close,
+
+        // --- Users ---
+        async addUser(token) {
+            await query(dialect.insertIgnoreUser, [token]);
+        },
+
+        async userExists(token) {
+            const rows = await query('SELECT 1 FROM users WHERE user_token = ?', [token]);
+            return rows.length > 0;
+        },
+
+        async countUsers() {
+            const rows = await query('SELECT COUNT(*) AS count FROM users');
+            return Number(rows[0].count);
+        },
+
+        // --- Aliases ---
+        async getAliasOwner(alias) {
+            const rows = await query('SELECT user_id FROM user_aliases WHERE alias = ?', [alias]);
+            return rows[0]?.user_id ?? null;
+        },
+
+        async findAliasByPort(userId, port) {
+            const rows = await query(
+                'SELECT alias FROM user_aliases WHERE user_id = ? AND port = ?',
+                [userId, port]
+            );
+            return rows[0]?.alias ?? null;
+        },
+
+        async userOwnsAlias(userId, alias) {
+            const rows = await query(
+                'SELECT 1 FROM user_aliases WHERE user_id = ? AND alias = ?',
+                [userId, alias]
+            );
+            return rows.length > 0;
+        },
+
+        async createAlias(userId, alias, port) {
+            await insertUnique(
+                'INSERT INTO user_aliases (user_id, alias, port) VALUES (?, ?, ?)',
+                [userId, alias, port],
+                `Alias ${alias} already exists`
+            );
+        },
+
+        // --- Access policies ---
+        async getAliasPolicy(alias) {
+            const rows = await query(
+                'SELECT basic_auth_user, basic_auth_hash, allow_ips FROM alias_policies WHERE alias = ?',
+                [alias]
+            );
+            if (rows.length === 0) {
+                return null;
+            }
+            return {
+                basicAuthUser: rows[0].basic_auth_user,
+                basicAuthHash: rows[0].basic_auth_hash,
+                allowIps: rows[0].allow_ips ? rows[0].allow_ips.split(',') : null,
+            };
+        },
+
+        async saveAliasPolicy(alias, userId, { basicAuthUser, basicAuthHash, allowIps }) {
+            await query(dialect.upsertAliasPolicy, [
+                alias, userId, basicAuthUser || null, basicAuthHash || null,
+                allowIps ? allowIps.join(',') : null,
+            ]);
+        },
+
+        // --- Request log ---
+        async logRequests(entries) {
+            if (entries.length === 0) {
+                return;
+            }
+            const row = `(${REQUEST_COLUMNS.map(() => '?').join(', ')})`;
+            try {
+                await query(
+                    `INSERT INTO api_requests (${REQUEST_COLUMNS.join(', ')}) VALUES ${entries.map(() => row).join(', ')}`,
+                    entries.flatMap(entry => [
+                        entry.requestId, entry.alias, entry.port, entry.method, entry.path, entry.statusCode,
+                        entry.latencyMs, entry.bytesIn, entry.bytesOut, entry.visitorIp, entry.userAgent, entry.createdAt,
+                    ])
+                );
+            } catch (err) {
+                throw isRejected(err) ? rejectedError(err.message) : err;
+            }
+        },
+
+        async rollupRequests(before) {
+            return transaction(async (query) => {
+                await query(dialect.rollupRequests, [before]);
+                const result = await query('DELETE FROM api_requests WHERE created_at < ?', [before]);
+                return result.affectedRows;
+            });
+        },
+
+        async pruneRequestRollups(before) {
+            await query('DELETE FROM api_request_rollups WHERE hour < ?', [before]);
+        },
+
+        // --- Custom domains ---
+        async listCustomDomains({ userId, domain } = {}) {
+            const where = [];
+            const params = [];
+            if (userId !== undefined) {
+                where.push('user_id = ?');
+                params.push(userId);
+            }
+            if (domain !== undefined) {
+                where.push('domain = ?');
+                params.push(domain);
+            }
+            const rows = await query(
+                `SELECT * FROM custom_domains${where.length ? ` WHERE ${where.join(' AND ')}` : ''} ORDER BY domain`,
+                params
+            );
+            return rows.map(toDomain);
+        },
+
+        async createCustomDomain({ domain, userId, alias, token }) {
+            await insertUnique(
+                `INSERT INTO custom_domains (domain, user_id, alias, token, status)
+                 VALUES (?, ?, ?, ?, 'pending')`,
+                [domain, userId, alias, token],
+                `Domain ${domain} already exists`
+            );
+        },
+
+        async updateCustomDomain(domain, fields) {
+            const names = Object.keys(fields).filter(name => DOMAIN_COLUMNS[name]);
+            if (names.length === 0) {
+                return;
+            }
+            await query(
+                `UPDATE custom_domains SET ${names.map(name => `${DOMAIN_COLUMNS[name]} = ?`).join(', ')} WHERE domain = ?`,
+                [...names.map(name => fields[name]), domain]
+            );
+        },
+
+        async deleteCustomDomain(domain) {
+            await query('DELETE FROM custom_domains WHERE domain = ?', [domain]);
+        },
+    };
+}
+
+module.exports = { createSqlStorage };
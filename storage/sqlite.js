@@ -0,0 +1,157 @@
+const { createSqlStorage } = require('./sql');
+
+// ===== SQLite Storage =====
+// A single database file for small self-hosted instances. Tables are created
+// on first start; timestamps are stored as ISO 8601 text.
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_token TEXT UNIQUE NOT NULL,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS user_aliases (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL,
+        alias TEXT UNIQUE NOT NULL,
+        port INTEGER NOT NULL,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS idx_user_aliases_user_id ON user_aliases (user_id);
+
+    CREATE TABLE IF NOT EXISTS alias_policies (
+        alias TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        basic_auth_user TEXT,
+        basic_auth_hash TEXT,
+        allow_ips TEXT,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS custom_domains (
+        domain TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        alias TEXT NOT NULL,
+        token TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        verified_at TEXT,
+        cert_pem TEXT,
+        key_pem TEXT,
+        cert_expires_at TEXT,
+        last_error TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS idx_custom_domains_user_id ON custom_domains (user_id);
+
+    CREATE TABLE IF NOT EXISTS api_requests (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        request_id TEXT,
+        alias TEXT NOT NULL,
+        port INTEGER NOT NULL,
+        method TEXT NOT NULL,
+        path TEXT NOT NULL,
+        status_code INTEGER NOT NULL,
+        latency_ms INTEGER,
+        bytes_in INTEGER DEFAULT 0,
+        bytes_out INTEGER DEFAULT 0,
+        visitor_ip TEXT,
+        user_agent TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS idx_api_requests_alias ON api_requests (alias);
+    CREATE INDEX IF NOT EXISTS idx_api_requests_created_at ON api_requests (created_at);
+
+    CREATE TABLE IF NOT EXISTS api_request_rollups (
+        alias TEXT NOT NULL,
+        hour TEXT NOT NULL,
+        requests INTEGER NOT NULL,
+        server_errors INTEGER NOT NULL,
+        bytes_in INTEGER NOT NULL,
+        bytes_out INTEGER NOT NULL,
+        total_latency_ms INTEGER NOT NULL,
+        max_latency_ms INTEGER NOT NULL,
+        PRIMARY KEY (alias, hour)
+    );
+`;
+
+// Columns added to existing tables since they were first created
+const ADDED_COLUMNS = {
+    api_requests: {
+        request_id: 'TEXT',
+        latency_ms: 'INTEGER',
+        visitor_ip: 'TEXT',
+        user_agent: 'TEXT',
+    },
+};
+
+function migrate(db) {
+    for (const [table, columns] of Object.entries(ADDED_COLUMNS)) {
+        const existing = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name));
+        for (const [name, type] of Object.entries(columns)) {
+            if (!existing.has(name)) {
+                db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+            }
+        }
+    }
+}
+
+function createStorage({ filename }) {
+    const Database = require('better-sqlite3');
+    let db = null;
+
+    function query(sql, params = []) {
+        const statement = db.prepare(sql);
+        const values = params.map(value => (value instanceof Date ? value.toISOString() : value));
+        if (statement.reader) {
+            return statement.all(values);
+        }
+        return { affectedRows: statement.run(values).changes };
+    }
+
+    return createSqlStorage({
+        query: async (sql, params) => query(sql, params),
+        isDuplicate: (err) => err.code === 'SQLITE_CONSTRAINT_UNIQUE' || err.code === 'SQLITE_CONSTRAINT_PRIMARYKEY',
+        isRejected: (err) => /^SQLITE_(CONSTRAINT|MISMATCH|TOOBIG|RANGE)/.test(err.code || ''),
+        // Statements run synchronously and `fn` only awaits them, so no other
+        // query gets in between BEGIN and COMMIT
+        transaction: async (fn) => {
+            db.exec('BEGIN');
+            try {
+                const result = await fn(async (sql, params) => query(sql, params));
+                db.exec('COMMIT');
+                return result;
+            } catch (err) {
+                db.exec('ROLLBACK');
+                throw err;
+            }
+        },
+        dialect: {
+            insertIgnoreUser: 'INSERT OR IGNORE INTO users (user_token) VALUES (?)',
+            upsertAliasPolicy: `INSERT INTO alias_policies (alias, user_id, basic_auth_user, basic_auth_hash, allow_ips)
+                VALUES (?, ?, ?, ?, ?)
+                ON CONFLICT (alias) DO UPDATE SET basic_auth_user = excluded.basic_auth_user,
+                    basic_auth_hash = excluded.basic_auth_hash, allow_ips = excluded.allow_ips,
+                    updated_at = CURRENT_TIMESTAMP`,
+            rollupRequests: `INSERT INTO api_request_rollups
+                    (alias, hour, requests, server_errors, bytes_in, bytes_out, total_latency_ms, max_latency_ms)
+                SELECT alias, strftime('%Y-%m-%dT%H:00:00.000Z', created_at) AS bucket, COUNT(*),
+                    SUM(status_code >= 500), SUM(bytes_in), SUM(bytes_out), COALESCE(SUM(latency_ms), 0),
+                    COALESCE(MAX(latency_ms), 0)
+                FROM api_requests WHERE created_at < ? GROUP BY alias, bucket
+                ON CONFLICT (alias, hour) DO UPDATE SET requests = requests + excluded.requests,
+                    server_errors = server_errors + excluded.server_errors,
+                    bytes_in = bytes_in + excluded.bytes_in, bytes_out = bytes_out + excluded.bytes_out,
+                    total_latency_ms = total_latency_ms + excluded.total_latency_ms,
+                    max_latency_ms = MAX(max_latency_ms, excluded.max_latency_ms)`,
+        },
+        init: async () => {
+            db = new Database(filename);
+            db.pragma('journal_mode = WAL');
+            db.exec(SCHEMA);
+            migrate(db);
+        },
+        close: async () => db?.close(),
+    });
+}
+
+module.exports = { createStorage };